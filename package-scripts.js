@@ -19,7 +19,10 @@ const CFLAGS = [
     '-DSQLITE_DISABLE_LFS',
     '-DSQLITE_ENABLE_FTS3',
     '-DSQLITE_ENABLE_FTS3_PARENTHESIS',
+    '-DSQLITE_ENABLE_DESERIALIZE',
+    '-DSQLITE_ENABLE_COLUMN_METADATA',
     '-DSQLITE_THREADSAFE=0',
+    '-DHAVE_USLEEP=1',
 ].join(' ');
 
 const EMFLAGS = [
@@ -44,7 +47,7 @@ const EMFLAGS = [
 ].join(' ');
 
 // Creates the SQLite LLVM .bc file using Emscripten
-const llvm = `emcc ${CFLAGS} src/native/sqlite3.c src/native/extension-functions.c -r -o out/sqlite3.bc`;
+const llvm = `emcc ${CFLAGS} src/native/sqlite3.c src/native/extension-functions.c src/native/hooks.c -r -o out/sqlite3.bc`;
 
 // Creates the Emscripten .js and .wasm files using the SQLite code generated above.
 // Two different bundles depending on the environment
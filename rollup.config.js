@@ -7,7 +7,7 @@ const entryFileNames = "node-sql-wasm.js";
 
 const shared = {
     input: "src/index.js",
-    external: ["path"],
+    external: ["crypto", "events", "fs", "path", "stream"],
     plugins: [
         url({
             limit: 0,
@@ -1,7 +1,10 @@
 const fs = require("fs");
 const h_file = fs.readFileSync("../src/native/sqlite3.h", {encoding:"UTF-8"});
 
-let defineRegEx = /^#define\s+([a-z_][a-z0-9_]*)\s+([a-z0-9_'"][^/]*)/i;
+let defineRegEx = /^#define\s+([a-z_][a-z0-9_]*)\s+([a-z0-9_'"(][^/]*)/i;
+
+// C casts like ((sqlite3_destructor_type)-1) are not valid javascript
+let castRegEx = /\(\s*[a-z_][a-z0-9_]*\s*\*?\s*\)\s*[-a-z0-9_(]/i;
 
 fs.writeFileSync("../out/sqlite3.h.js", `/**
  * These constants have been extracted from 'sqlite3.h'
@@ -9,7 +12,7 @@ fs.writeFileSync("../out/sqlite3.h.js", `/**
 ${
     h_file.split('\n')
         .map(line => defineRegEx.exec(line))
-        .filter(result => result && result[1] && result[2])
+        .filter(result => result && result[1] && result[2] && !castRegEx.test(result[2]))
         .map(([match, c_const, c_value]) => `export const ${c_const.trim()} = ${c_value.trim()};`)
         .join("\n")}
 `, {encoding:"UTF-8"});
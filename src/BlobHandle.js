@@ -0,0 +1,186 @@
+import {SQLITE_MISUSE, SQLITE_OK} from "../out/sqlite3.h.js"
+
+import {Readable, Writable} from "stream";
+import sqlite3api from "./sqlite3-api.js";
+import SqliteError from "./SqliteError.js";
+import {splitInt64} from "./integers.js";
+import heap from "./heap.js";
+
+export default function (runtime) {
+
+    const NULL = 0; // Null pointer
+
+    // The size of the chunks read and written by the stream adapters
+    const DEFAULT_HIGH_WATER_MARK = 64 * 1024;
+
+    const {alloc, readBytes, writeBytes, free} = heap(runtime);
+
+    const {
+        sqlite3_blob_reopen,
+        sqlite3_blob_read,
+        sqlite3_blob_write,
+        sqlite3_blob_bytes,
+        sqlite3_blob_close
+    } = sqlite3api(runtime);
+
+    /**
+     * @classdesc
+     * An open BLOB, to read and write it a chunk at a time instead of loading it whole.
+     *
+     * The size of the BLOB can't be changed through the handle: reserve the space beforehand,
+     * e.g. with `zeroblob(n)` or {@link Statement.bindZeroBlob}. When the row is modified or deleted
+     * by something else than the handle, the handle expires and its reads and writes fail with SQLITE_ABORT.
+     *
+     * Handles can't be created by the API user directly, only by {@link Database.openBlob}
+     *
+     * @example
+     * db.run("INSERT INTO images (id, data) VALUES (?, zeroblob(?))", [1, file.length]);
+     * const blob = db.openBlob({table: "images", column: "data", rowid: 1, writable: true});
+     * blob.write(0, file);
+     * blob.close();
+     */
+    return class BlobHandle {
+
+        /**
+         * @private
+         * @param {number} blob the sqlite3_blob pointer
+         * @param {Database} db
+         * @param {boolean} writable
+         */
+        constructor(blob, db, writable) {
+            this.blob = blob;
+            this.db = db;
+            /** @type {boolean} whether the handle was opened for writing */
+            this.writable = writable;
+        }
+
+        /** The size of the BLOB in bytes
+         @return {number}
+         */
+        get length() {
+            this.checkOpen();
+            return sqlite3_blob_bytes(this.blob);
+        }
+
+        /** Read a part of the BLOB
+         @param {number} [offset=0] where to start reading
+         @param {number} [length] how many bytes to read, up to the end of the BLOB by default
+         @return {Uint8Array|Buffer} a Buffer if the database reads BLOBs as buffers, see {@link Database.buffers}
+         @throws {SqliteError} SQLITE_ERROR when reading past the end of the BLOB
+         */
+        read(offset = 0, length = this.length - offset) {
+            this.checkOpen();
+            const ptr = alloc(length);
+            try {
+                this.db.handleError(sqlite3_blob_read(this.blob, ptr, length, offset));
+                return readBytes(ptr, length, this.db.useBuffers);
+            } finally {
+                free(ptr);
+            }
+        }
+
+        /** Overwrite a part of the BLOB
+         @param {number} offset where to start writing
+         @param {Uint8Array|Buffer|number[]} bytes
+         @return {BlobHandle} The handle (useful for method chaining)
+         @throws {SqliteError} SQLITE_READONLY if the handle isn't writable,
+         SQLITE_ERROR when writing past the end of the BLOB
+         */
+        write(offset, bytes) {
+            this.checkOpen();
+            const ptr = writeBytes(bytes);
+            try {
+                this.db.handleError(sqlite3_blob_write(this.blob, ptr, bytes.length, offset));
+            } finally {
+                free(ptr);
+            }
+            return this;
+        }
+
+        /** Move the handle to the same column of another row, this is faster than opening a new one.
+         It also renews an expired handle.
+         @param {number|bigint} rowid
+         @return {BlobHandle} The handle (useful for method chaining)
+         */
+        reopen(rowid) {
+            this.checkOpen();
+            this.db.handleError(sqlite3_blob_reopen(this.blob, ...splitInt64(BigInt(rowid))));
+            return this;
+        }
+
+        /** Read the BLOB as a stream of chunks.
+         The stream doesn't close the handle when it ends.
+         @param {Object} [options]
+         @param {number} [options.start=0] the offset of the first byte
+         @param {number} [options.end] the offset of the last byte (inclusive), the end of the BLOB by default
+         @param {number} [options.highWaterMark=65536] the size of the chunks
+         @return {Readable}
+         */
+        createReadStream({start = 0, end = Infinity, highWaterMark = DEFAULT_HIGH_WATER_MARK} = {}) {
+            const handle = this;
+            let position = start;
+            return new Readable({
+                highWaterMark,
+                read(size) {
+                    try {
+                        const stop = Math.min(end + 1, handle.length);
+                        if (position >= stop) {
+                            this.push(null);
+                            return;
+                        }
+                        const chunk = handle.read(position, Math.min(size, stop - position));
+                        position += chunk.length;
+                        this.push(chunk);
+                    } catch (error) {
+                        this.destroy(error);
+                    }
+                }
+            });
+        }
+
+        /** Write the BLOB from a stream of chunks, they must fit in the current size of the BLOB.
+         The stream doesn't close the handle when it finishes.
+         @param {Object} [options]
+         @param {number} [options.start=0] the offset where the first chunk is written
+         @param {number} [options.highWaterMark=65536]
+         @return {Writable}
+         */
+        createWriteStream({start = 0, highWaterMark = DEFAULT_HIGH_WATER_MARK} = {}) {
+            const handle = this;
+            let position = start;
+            return new Writable({
+                highWaterMark,
+                write(chunk, encoding, callback) {
+                    try {
+                        handle.write(position, chunk);
+                        position += chunk.length;
+                        callback();
+                    } catch (error) {
+                        callback(error);
+                    }
+                }
+            });
+        }
+
+        /** Close the handle, it's done automatically when the database is closed
+         @return {boolean} false if the last write failed to commit
+         */
+        close() {
+            if (this.blob === NULL) {
+                return true;
+            }
+            // sqlite3_blob_close releases the handle even when it reports an error
+            const res = sqlite3_blob_close(this.blob) === SQLITE_OK;
+            delete this.db.blobs[this.blob];
+            this.blob = NULL;
+            return res;
+        }
+
+        /** @private */
+        checkOpen() {
+            if (this.blob === NULL) {
+                throw new SqliteError("Blob handle closed", SQLITE_MISUSE);
+            }
+        }
+    };
+}
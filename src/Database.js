@@ -1,17 +1,45 @@
-import {SQLITE3_TEXT, SQLITE_BLOB, SQLITE_FLOAT, SQLITE_INTEGER, SQLITE_OK, SQLITE_UTF8} from "../out/sqlite3.h.js"
+import {
+    SQLITE3_TEXT,
+    SQLITE_BLOB,
+    SQLITE_BUSY,
+    SQLITE_DELETE,
+    SQLITE_DENY,
+    SQLITE_DESERIALIZE_FREEONCLOSE,
+    SQLITE_DESERIALIZE_READONLY,
+    SQLITE_DESERIALIZE_RESIZEABLE,
+    SQLITE_DONE,
+    SQLITE_FLOAT,
+    SQLITE_IGNORE,
+    SQLITE_INSERT,
+    SQLITE_INTEGER,
+    SQLITE_LOCKED,
+    SQLITE_MISUSE,
+    SQLITE_NOMEM,
+    SQLITE_OK,
+    SQLITE_OPEN_CREATE,
+    SQLITE_OPEN_MEMORY,
+    SQLITE_OPEN_READONLY,
+    SQLITE_OPEN_READWRITE,
+    SQLITE_OPEN_URI,
+    SQLITE_UPDATE,
+    SQLITE_UTF8
+} from "../out/sqlite3.h.js"
 
+import {EventEmitter} from "events";
 import sqlite3api from "./sqlite3-api.js";
+import SqliteError from "./SqliteError.js";
+import StatementCache from "./StatementCache.js";
+import TypeRegistry from "./TypeRegistry.js";
+import {checkSafeInteger, joinInt64, splitInt64} from "./integers.js";
+import heap from "./heap.js";
+import virtualTables from "./virtualTables.js";
+import describeSchema from "./schema.js";
 
-export default function (runtime, {Statement}) {
+export default function (runtime, {Statement, BlobHandle, mounts}) {
 
     const {
-        ALLOC_NORMAL,
         FS,
-        NODEFS,
-        HEAP8,
-        _free,
         addFunction,
-        allocate,
         allocateUTF8OnStack,
         getValue,
         removeFunction,
@@ -21,62 +49,459 @@ export default function (runtime, {Statement}) {
         stackSave
     } = runtime;
 
-    FS.mkdir('/working');
-    FS.mount(NODEFS, {root: '.'}, '/working');
-
     const apiTemp = stackAlloc(4); // Declare toplevel variables register, used for temporary stack values
     const NULL = 0; // Null pointer
+    const SQLITE_TRANSIENT = -1; // sqlite makes its own copy of the result
+
+    const {asBytes, readBytes, readString, writeBytes, writeString, free} = heap(runtime);
 
     const {
         sqlite3_exec,
         sqlite3_prepare_v2_sqlptr,
+        sqlite3_reset,
         sqlite3_prepare_v2,
-        sqlite3_open,
+        sqlite3_open_v2,
+        sqlite3_db_readonly,
         sqlite3_close_v2,
         sqlite3_errmsg,
+        sqlite3_extended_errcode,
+        sqlite3_extended_result_codes,
         sqlite3_changes,
+        sqlite3_get_autocommit,
         sqlite3_value_bytes,
         sqlite3_value_blob,
         sqlite3_value_type,
         sqlite3_value_double,
         sqlite3_value_text,
         sqlite3_result_int,
+        sqlite3_result_int64,
         sqlite3_result_double,
         sqlite3_result_text,
         sqlite3_result_blob,
         sqlite3_result_error,
         sqlite3_result_null,
         sqlite3_create_function_v2,
+        sqlite3_create_window_function,
+        sqlite3_aggregate_context,
+        sqlite3_backup_init,
+        sqlite3_backup_step,
+        sqlite3_backup_finish,
+        sqlite3_backup_remaining,
+        sqlite3_backup_pagecount,
+        sqlite3_serialize,
+        sqlite3_deserialize,
+        sqlite3_malloc,
+        sqlite3_free,
+        sqlite3_blob_open,
+        sqlite3_create_module_v2,
+        sqlite3_busy_timeout,
+        sqlite3_busy_handler,
+        sqlite3_set_authorizer,
+        sqlite3_update_hook_words,
+        sqlite3_commit_hook,
+        sqlite3_rollback_hook,
+        sqlite3_wal_hook,
+        sqlite3_wal_autocheckpoint,
+        sqlite3_wal_checkpoint,
         registerExtensionFunctions
     } = sqlite3api(runtime);
 
+    function catchError(fn) {
+        try {
+            fn();
+            return null;
+        } catch (error) {
+            return error;
+        }
+    }
+
+    // The main database file and the ones sqlite creates next to it
+    const DATABASE_FILE_SUFFIXES = ["", "-journal", "-wal", "-shm"];
+
+    let warnedLegacyClose = false;
+
+    // How long the backup waits before retrying a step that found the database locked
+    const BACKUP_RETRY_DELAY = 10;
+
+    function removeFiles(filename, suffixes) {
+        for (const suffix of suffixes) {
+            if (FS.analyzePath(filename + suffix).exists) {
+                FS.unlink(filename + suffix);
+            }
+        }
+    }
+
+    function removeFunctions(functions) {
+        Object.values(functions).forEach(pointers => pointers.forEach(removeFunction));
+    }
+
+    // The file: URI of a path of the virtual file system, with its query string if any (e.g. "?mode=ro")
+    function fileUri(filename, query = "") {
+        return `file:${encodeURI(filename).replace(/[?#]/g, encodeURIComponent)}${query}`;
+    }
+
+    const AUTHORIZER_RESULTS = {ok: SQLITE_OK, deny: SQLITE_DENY, ignore: SQLITE_IGNORE};
+
+    const UPDATE_OPERATIONS = {[SQLITE_INSERT]: "insert", [SQLITE_UPDATE]: "update", [SQLITE_DELETE]: "delete"};
+
+    // The number of WAL pages that triggers a checkpoint, as sqlite3_wal_autocheckpoint does by default
+    const WAL_AUTOCHECKPOINT = 1000;
+
+    /*
+     * The events backed by an sqlite hook: how to set the hook, the signature of the callback and
+     * the callback emitting the event. A hook is set while its event has listeners.
+     */
+    const HOOKS = {
+        // void(*)(int op, char const *db, char const *table, int rowidLow, int rowidHigh), see hooks.c
+        update: {
+            set: sqlite3_update_hook_words,
+            signature: "viiiii",
+            callback: db => (op, schema, table, low, high) => {
+                const rowid = joinInt64(low, high);
+                db.emitHook("update", {
+                    op: UPDATE_OPERATIONS[op],
+                    db: readString(schema),
+                    table: readString(table),
+                    rowid: db.useBigInts ? rowid : checkSafeInteger(Number(rowid))
+                });
+            }
+        },
+        // int(*)(void *), returning non zero turns the commit into a rollback
+        commit: {
+            set: sqlite3_commit_hook,
+            signature: "ii",
+            callback: db => () => db.emitHook("commit") ? 0 : 1
+        },
+        // void(*)(void *)
+        rollback: {
+            set: sqlite3_rollback_hook,
+            signature: "vi",
+            callback: db => () => db.emitHook("rollback")
+        },
+        // int(*)(void *, sqlite3 *, const char *db, int pages), it replaces the automatic checkpoints
+        wal: {
+            set: sqlite3_wal_hook,
+            signature: "iiiii",
+            callback: db => (pArg, pDb, schema, pages) => {
+                const name = readString(schema);
+                db.emitHook("wal", {db: name, pages});
+                if (pages >= WAL_AUTOCHECKPOINT) {
+                    sqlite3_wal_checkpoint(pDb, name);
+                }
+                return SQLITE_OK;
+            },
+            unset: pDb => sqlite3_wal_autocheckpoint(pDb, WAL_AUTOCHECKPOINT)
+        }
+    };
+
+    /** Convert the sqlite3_value** arguments of a user function to JS values,
+     those with a declared type in argTypes go through the type registry of the database */
+    function extractArgs(db, argc, argv, argTypes = []) {
+
+        function extract_blob(ptr) {
+            // sqlite3_value_bytes after sqlite3_value_blob, as it may convert the value
+            const blob_ptr = sqlite3_value_blob(ptr);
+            return readBytes(blob_ptr, sqlite3_value_bytes(ptr), db.useBuffers);
+        }
+
+        const args = [];
+        for (let i = 0; i < argc; i += 1) {
+            const value_ptr = getValue(argv + (4 * i), "i32");
+            const value_type = sqlite3_value_type(value_ptr);
+            let arg;
+            if (value_type === SQLITE_INTEGER) {
+                arg = db.useBigInts
+                    ? BigInt(sqlite3_value_text(value_ptr))
+                    : checkSafeInteger(sqlite3_value_double(value_ptr));
+            } else if (value_type === SQLITE_FLOAT) {
+                arg = sqlite3_value_double(value_ptr);
+            } else if (value_type === SQLITE3_TEXT) {
+                arg = sqlite3_value_text(value_ptr);
+            } else if (value_type === SQLITE_BLOB) {
+                arg = extract_blob(value_ptr);
+            } else arg = null;
+            args.push(argTypes[i] ? db.types.fromSql(arg, argTypes[i]) : arg);
+        }
+        return args;
+    }
+
+    /** Report the error thrown by a user function, cwrap would turn the Error object itself into an empty string */
+    function resultError(cx, error) {
+        sqlite3_result_error(cx, String(error && error.message || error), -1);
+    }
+
+    /** Set the result of a user function from the JS value it returned */
+    function setResult(db, cx, result) {
+        if (db.types.binding) {
+            result = db.types.toSql(result);
+        }
+        switch (typeof result) {
+            case "boolean":
+                sqlite3_result_int(cx, result ? 1 : 0);
+                break;
+            case "number":
+                sqlite3_result_double(cx, result);
+                break;
+            case "bigint":
+                sqlite3_result_int64(cx, ...splitInt64(result));
+                break;
+            case "string": {
+                const [strptr, length] = writeString(result);
+                sqlite3_result_text(cx, strptr, length, SQLITE_TRANSIENT);
+                free(strptr);
+                break;
+            }
+            case "object":
+                if (result === null) {
+                    sqlite3_result_null(cx);
+                } else if (ArrayBuffer.isView(result) || result.length != null) {
+                    const bytes = asBytes(result);
+                    const blobptr = writeBytes(bytes);
+                    sqlite3_result_blob(cx, blobptr, bytes.length, SQLITE_TRANSIENT);
+                    free(blobptr);
+                } else {
+                    sqlite3_result_error(cx, (
+                        "Wrong API use : tried to return a value "
+                        + "of an unknown type (" + result + ")."
+                    ), -1);
+                }
+                break;
+            default:
+                sqlite3_result_null(cx);
+        }
+    }
+
+    const {createModule, tableModule, freeModule} = virtualTables(runtime, {extractArgs, setResult});
+
     /** @classdesc
      * Represents an SQLite database
      * @constructs Database
      * @memberof module:SqlJs
      * Open a new database either by creating a new one or opening an existing
      * one stored in the byte array passed in first argument
+     * @param {string} path The path of the database file on the host, relative to the cwd unless absolute.
+     * Its directory is mounted in the virtual file system while the database is open
+     * @param {boolean} readonly Open the database read only
+     * @param {boolean} fileMustExist Fail instead of creating the database file when it doesn't exist
+     * @param {boolean} uri Interpret path as a `file:` URI, whose query parameters are passed to sqlite
+     * (e.g. `file:data.db?mode=ro&cache=private`)
+     * @param {boolean} memory Open a pure in memory database, without any file (data is deserialized into it)
+     * @param {string} dbfile The path of the database file relative to the "/working" mount (by default the cwd)
      * @param {number[]} data An array of bytes representing
      * an SQLite database file
+     * @param {boolean} safeIntegers Read INTEGER values as BigInt,
+     * see {@link Database.safeIntegers}
+     * @param {boolean} buffers Read BLOB values as Node.js Buffer, see {@link Database.buffers}
+     * @param {boolean} strictBinding Check that the bound values match the parameters, see {@link Database.strictBinding}
+     * @param {boolean|{dates:string}} types Register the built-in type conversions in {@link Database#types},
+     * see {@link TypeRegistry#registerDefaults}
+     * @param {number} statementCacheSize The number of statements kept prepared for
+     * {@link Database.query}, {@link Database.run}, {@link Database.each} and {@link Database.get}, 0 disables the cache
+     * @param {number} timeout How long to wait, in milliseconds, for the locks held by other connections
+     * before failing with SQLITE_BUSY, 0 fails right away, see {@link Database.setBusyHandler}
+     * @param {string} journalMode The journal mode set at open, e.g. "WAL", see {@link Database.pragma}
+     * @param {boolean} foreignKeys Enforce the foreign key constraints
+     * @param {string|number} synchronous The synchronous setting, e.g. "NORMAL"
+     *
+     * A database is an EventEmitter of the changes made through its connection:
+     * "update" `({op, db, table, rowid})` for each row inserted, updated or deleted (op being "insert", "update"
+     * or "delete"), "commit" and "rollback" for each transaction, and "wal" `({db, pages})` after each commit
+     * in WAL mode. The errors thrown by the listeners are emitted as "error", after the sqlite call returns,
+     * or thrown by the call when the database has no "error" listener (a failing "commit" listener fails the commit).
      */
-    return class Database {
+    return class Database extends EventEmitter {
 
-        constructor({dbfile, data} = {}) {
-            this.filename = dbfile ? `/working/${dbfile}` : `/dbfile_${(0xffffffff * Math.random()) >>> 0}`;
-            if (dbfile) {
-                console.log("sqlite database:", this.filename);
+        constructor({
+            path,
+            dbfile,
+            data,
+            readonly = false,
+            fileMustExist = false,
+            uri = false,
+            memory = false,
+            safeIntegers = false,
+            buffers = false,
+            strictBinding = false,
+            types = false,
+            statementCacheSize = 32,
+            timeout = 0,
+            journalMode,
+            foreignKeys,
+            synchronous
+        } = {}) {
+            super();
+            let query = "";
+            if (uri && path != null) {
+                const match = /^file:(?:\/\/(?:localhost)?(?=\/))?([^?#]*)(.*)$/.exec(path);
+                if (!match) {
+                    throw new SqliteError(`Not a file: URI ${path}`, SQLITE_MISUSE);
+                }
+                path = decodeURIComponent(match[1]);
+                query = match[2];
+            }
+            this.memory = !!memory;
+            // The host directory of a file database, mounted while the database is open
+            this.mount = memory ? null : path != null ? mounts.open(path) : dbfile ? mounts.openWorking(dbfile) : null;
+            if (memory) {
+                this.filename = ":memory:";
+            } else if (this.mount) {
+                this.filename = this.mount.filename;
+            } else {
+                this.filename = `/dbfile_${(0xffffffff * Math.random()) >>> 0}`;
+            }
+            let flags = readonly ? SQLITE_OPEN_READONLY : SQLITE_OPEN_READWRITE;
+            if (!readonly && !fileMustExist) {
+                flags |= SQLITE_OPEN_CREATE;
+            }
+            // ATTACH accepts URIs when the connection does, see attach. The filenames that don't start
+            // with "file:" are not affected, and the ones of the virtual file system start with "/"
+            flags |= SQLITE_OPEN_URI;
+            if (memory) {
+                flags |= SQLITE_OPEN_MEMORY;
             }
-            if (data != null) {
-                FS.createDataFile("/", this.filename, data, true, true);
+            try {
+                if (data != null && !memory) {
+                    FS.createDataFile("/", this.filename, data, true, true);
+                }
+                setValue(apiTemp, 0, "i32");
+                const returnCode = sqlite3_open_v2(
+                    uri ? fileUri(this.filename, query) : this.filename,
+                    apiTemp,
+                    flags,
+                    null
+                );
+                // unless out of memory, sqlite returns a handle even on failure, to read the error from
+                this.db = getValue(apiTemp, "i32");
+                try {
+                    this.handleError(returnCode);
+                } catch (error) {
+                    sqlite3_close_v2(this.db);
+                    this.db = null;
+                    throw error;
+                }
+            } catch (error) {
+                if (this.mount) {
+                    this.mount.release();
+                }
+                throw error;
             }
-            this.handleError(sqlite3_open(this.filename, apiTemp));
-            this.db = getValue(apiTemp, "i32");
+            sqlite3_extended_result_codes(this.db, 1);
+            sqlite3_busy_timeout(this.db, timeout);
             registerExtensionFunctions(this.db);
             // A list of all prepared statements of the database
             this.statements = {};
             // A list of all user function of the database
             // (created by create_function call)
             this.functions = {};
+            // The open blob handles, keyed by their sqlite3_blob pointer
+            this.blobs = {};
+            // The virtual table modules (created by createModule and table), keyed by name
+            this.modules = {};
+            // The attached databases, keyed by alias: the mount of their directory and their host path, if any
+            this.attachments = {};
+            // The wasm table entries of the hooks that are set, keyed by event
+            this.hooks = {};
+            // The wasm table entries of the authorizer and of the busy handler
+            this.authorizer = NULL;
+            this.busyHandler = NULL;
+            // The error thrown by the authorizer or the busy handler, thrown by handleError instead of the sqlite one
+            this.callbackError = null;
+            this.on("newListener", event => {
+                if (HOOKS[event] && !this.hooks[event]) {
+                    this.setHook(event);
+                }
+            });
+            this.on("removeListener", event => {
+                if (this.hooks[event] && this.listenerCount(event) === 0) {
+                    this.unsetHook(event);
+                }
+            });
+            // Whether INTEGER values are read as BigInt
+            this.useBigInts = !!safeIntegers;
+            // Whether BLOB values are read as Buffer
+            this.useBuffers = !!buffers;
+            // Whether the statements check the bound values, see Statement.strictBinding
+            this.useStrictBinding = !!strictBinding;
+            /** @type {TypeRegistry} the conversions of the bound values, the columns and the user function values */
+            this.types = new TypeRegistry();
+            if (types) {
+                this.types.registerDefaults(types === true ? {} : types);
+            }
+            // The statements of query, run, each and get, with their hits and misses counters
+            this.statementCache = new StatementCache(statementCacheSize);
+            try {
+                if (data != null && memory) {
+                    this.deserialize(data, {readonly});
+                }
+                if (journalMode != null) {
+                    this.pragma(`journal_mode = ${journalMode}`);
+                }
+                if (foreignKeys != null) {
+                    this.pragma(`foreign_keys = ${foreignKeys ? "ON" : "OFF"}`);
+                }
+                if (synchronous != null) {
+                    this.pragma(`synchronous = ${synchronous}`);
+                }
+            } catch (error) {
+                this.close();
+                throw error;
+            }
+        }
+
+        /** Whether the connection is open
+         @return {boolean}
+         */
+        get open() {
+            return !!this.db;
+        }
+
+        /** Whether the main database is read only, either because it was opened that way
+         or because the file can't be written
+         @return {boolean}
+         */
+        get readonly() {
+            return !!this.db && sqlite3_db_readonly(this.db, "main") === 1;
+        }
+
+        /** The name of the database: the host path of its file, or ":memory:" when it doesn't have one
+         @return {string}
+         */
+        get name() {
+            return this.mount ? this.mount.path : ":memory:";
+        }
+
+        /** Toggle reading INTEGER values as BigInt for the statements prepared from now on
+         and for the arguments of the user defined functions.
+
+         Without it integers are returned as numbers, and reading one that doesn't fit
+         a JS number throws a RangeError instead of silently rounding it.
+         @param {boolean} [toggle=true]
+         @return {Database} The database object (useful for method chaining)
+         */
+        safeIntegers(toggle = true) {
+            this.useBigInts = !!toggle;
+            return this;
+        }
+
+        /** Toggle reading BLOB values as Node.js Buffer instead of Uint8Array, for the statements
+         prepared from now on and for the arguments of the user defined functions.
+         @param {boolean} [toggle=true]
+         @return {Database} The database object (useful for method chaining)
+         */
+        buffers(toggle = true) {
+            this.useBuffers = !!toggle;
+            return this;
+        }
+
+        /** Toggle the strict binding mode for the statements prepared from now on:
+         binding throws for unknown names, missing parameters and extra positional values.
+         @see {@link Statement.strictBinding}
+         @param {boolean} [toggle=true]
+         @return {Database} The database object (useful for method chaining)
+         */
+        strictBinding(toggle = true) {
+            this.useStrictBinding = !!toggle;
+            return this;
         }
 
         /** Execute an SQL query, ignoring the rows it returns.
@@ -94,17 +519,12 @@ export default function (runtime, {Statement}) {
          */
         run(sql, params) {
             if (!this.db) {
-                throw "Database closed";
+                throw new SqliteError("Database closed", SQLITE_MISUSE, sql);
             }
             if (params) {
-                const stmt = this.prepare(sql, params);
-                try {
-                    stmt.step();
-                } finally {
-                    stmt.free();
-                }
+                this.withStatement(sql, stmt => stmt.run(params));
             } else {
-                this.handleError(sqlite3_exec(this.db, sql, 0, 0, apiTemp));
+                this.handleError(sqlite3_exec(this.db, sql, 0, 0, apiTemp), sql);
             }
             return this;
         };
@@ -174,7 +594,7 @@ export default function (runtime, {Statement}) {
          */
         exec(sql, params) {
             if (!this.db) {
-                throw "Database closed";
+                throw new SqliteError("Database closed", SQLITE_MISUSE, sql);
             }
             const stack = stackSave();
             let stmt;
@@ -191,7 +611,7 @@ export default function (runtime, {Statement}) {
                         -1,
                         apiTemp,
                         pzTail
-                    ));
+                    ), sql);
                     // pointer to a statement, or null
                     const pStmt = getValue(apiTemp, "i32");
                     nextSqlPtr = getValue(pzTail, "i32");
@@ -228,19 +648,193 @@ export default function (runtime, {Statement}) {
 
         createStatement(sql) {
             setValue(apiTemp, 0, "i32");
-            this.handleError(sqlite3_prepare_v2(this.db, sql, -1, apiTemp, NULL));
+            if (!this.db) {
+                throw new SqliteError("Database closed", SQLITE_MISUSE, sql);
+            }
+            this.handleError(sqlite3_prepare_v2(this.db, sql, -1, apiTemp, NULL), sql);
             // pointer to a statement, or null
             const pStmt = getValue(apiTemp, "i32");
             if (pStmt === NULL) {
-                throw "Nothing to prepare";
+                throw new SqliteError("Nothing to prepare", SQLITE_MISUSE, sql);
             }
             return new Statement(pStmt, this);
         }
 
-        query(sql, params) {
-            return this.createStatement(sql).exec(params);
+        /** @typedef {Object} Database.RowOptions
+         @property {boolean} [raw] return the rows as arrays of values, see {@link Statement.raw}
+         @property {boolean} [pluck] return only the value of the first column, see {@link Statement.pluck}
+         @property {boolean} [expand] return the rows as objects nested by table, see {@link Statement.expand}
+         */
+
+        /** Run a statement and return all its rows, as objects unless another row mode is requested
+         @example
+         db.query("SELECT name FROM users", [], {pluck: true}); // ["Ann", "Bob"]
+         @param {string} sql a string of SQL, that can contain placeholders
+         @param {Statement.BindParams} [params] values to bind to placeholders
+         @param {Database.RowOptions} [options]
+         @return {Array<Object<string, Database.SqlValue>>|Array<Database.SqlValue[]>|Database.SqlValue[]} the rows
+         */
+        query(sql, params, options) {
+            const mode = Statement.rowMode(options);
+            return this.withStatement(sql, stmt => stmt.setRowMode(mode, true).all(params));
         };
 
+        /** Run a statement and return its first row
+         @param {string} sql a string of SQL, that can contain placeholders
+         @param {Statement.BindParams} [params] values to bind to placeholders
+         @param {Database.RowOptions} [options]
+         @return {Object<string, Database.SqlValue>|Database.SqlValue[]|Database.SqlValue|undefined} the first row,
+         undefined if there is none
+         */
+        get(sql, params, options) {
+            const mode = Statement.rowMode(options);
+            return this.withStatement(sql, stmt => {
+                if (params != null) {
+                    stmt.bind(params);
+                }
+                return stmt.step() ? stmt.rowReader(mode)() : undefined;
+            });
+        }
+
+        /** Run a PRAGMA statement, e.g. `db.pragma("cache_size = -8000")` or `db.pragma("table_info(users)")`.
+         The file databases have no shared memory to hold the index of the WAL, so switching a database to
+         WAL sets its locking_mode to EXCLUSIVE first: no other connection can read it until it is closed,
+         and it must be reopened in WAL mode the same way (e.g. with the `journalMode` option).
+         @example
+         db.pragma("journal_mode = WAL", {simple: true}); // "wal"
+         db.pragma("user_version", {simple: true});        // 0
+         @param {string} source the pragma without the PRAGMA keyword, with its schema, argument or value if any
+         @param {Object} [options]
+         @param {boolean} [options.simple=false] return the first value of the first row instead of the rows
+         @return {Array<Object<string, Database.SqlValue>>|Database.SqlValue|undefined} the rows,
+         or the value (undefined when there is none) if simple
+         */
+        pragma(source, {simple = false} = {}) {
+            const wal = /^\s*(?:(\w+)\s*\.\s*)?journal_mode\s*=\s*['"]?wal\b/i.exec(source);
+            if (wal && !this.memory) {
+                this.run(`PRAGMA ${wal[1] ? `${wal[1]}.` : ""}locking_mode = EXCLUSIVE`);
+            }
+            const sql = `PRAGMA ${source}`;
+            if (simple) {
+                const row = this.get(sql, null, {raw: true});
+                return row && row[0];
+            }
+            return this.query(sql);
+        }
+
+        /** Attach another database under an alias, to query its tables as `alias.table`:
+         - a host path, relative to the cwd unless absolute, whose directory is mounted while it's attached
+         - a Database: its file is attached, or a copy of its content when it's a pure in memory database
+         - the bytes of a database (e.g. read from a file or serialized), a copy of which is attached in memory
+         - null, or ":memory:", for an empty in memory database
+         @example
+         db.attach("archive/2020.db", "archive", {readonly: true});
+         db.query("SELECT * FROM archive.orders UNION ALL SELECT * FROM orders");
+         @param {string|Database|Uint8Array|null} source
+         @param {string} alias the schema name
+         @param {Object} [options]
+         @param {boolean} [options.readonly=false] attach it read only
+         @return {Database} The database object (useful for method chaining)
+         */
+        attach(source, alias, {readonly = false} = {}) {
+            if (!this.db) {
+                throw new SqliteError("Database closed", SQLITE_MISUSE);
+            }
+            if (source instanceof Database) {
+                if (!source.db) {
+                    throw new SqliteError("Can't attach a closed database", SQLITE_MISUSE);
+                }
+                source = source.memory ? source.serialize() : source.mount ? source.mount.path : source;
+            }
+            const query = readonly ? "?mode=ro" : "";
+            if (source == null || source === ":memory:" || ArrayBuffer.isView(source)) {
+                this.run("ATTACH ':memory:' AS ?", [alias]);
+                this.attachments[alias] = {mount: null, path: null};
+                if (source != null && source !== ":memory:") {
+                    try {
+                        this.deserialize(source, {schema: alias, readonly});
+                    } catch (error) {
+                        this.detach(alias);
+                        throw error;
+                    }
+                }
+            } else if (source instanceof Database) {
+                // a temporary database, its file is in the virtual file system
+                this.run("ATTACH ? AS ?", [fileUri(source.filename, query), alias]);
+                this.attachments[alias] = {mount: null, path: null};
+            } else {
+                const mount = mounts.open(source);
+                try {
+                    this.run("ATTACH ? AS ?", [fileUri(mount.filename, query), alias]);
+                } catch (error) {
+                    mount.release();
+                    throw error;
+                }
+                this.attachments[alias] = {mount, path: mount.path};
+            }
+            return this;
+        }
+
+        /** Detach a database attached with {@link Database.attach} (or an ATTACH statement)
+         @param {string} alias
+         @return {Database} The database object (useful for method chaining)
+         */
+        detach(alias) {
+            this.run("DETACH ?", [alias]);
+            const attachment = this.attachments[alias];
+            if (attachment) {
+                delete this.attachments[alias];
+                if (attachment.mount) {
+                    attachment.mount.release();
+                }
+            }
+            return this;
+        }
+
+        /** List the schemas of the connection: main, temp once it's used, and the attached databases
+         @return {Array<{name: string, path: string|null, readonly: boolean}>} the host path is null
+         for the databases that are only in the virtual file system or in memory
+         */
+        attached() {
+            return this.query("PRAGMA database_list").map(({name}) => {
+                const attachment = name === "main" ? this.mount : this.attachments[name];
+                return {
+                    name,
+                    path: attachment ? attachment.path : null,
+                    readonly: sqlite3_db_readonly(this.db, name) === 1
+                };
+            });
+        }
+
+        /** Describe the tables (with their columns, foreign keys and indexes), views and triggers of a schema,
+         as plain objects sorted by name: `JSON.stringify(db.schema())` can be diffed between two versions.
+         @example
+         db.schema().tables[0].columns[0];
+         // {name: "id", type: "INTEGER", notNull: false, default: null, primaryKey: 1, hidden: false, generated: null}
+         @param {string} [schema="main"] "temp" or the name of an attached database
+         @return {Database.Schema}
+         */
+        schema(schema = "main") {
+            return describeSchema(this, schema);
+        }
+
+        /** Check a statement out of the statement cache for the time of a callback
+         @param {string} sql
+         @param {function(Statement):*} callback
+         @return {*} what the callback returns
+         @nodoc
+         */
+        withStatement(sql, callback) {
+            const stmt = this.statementCache.checkout(sql, sql => this.prepare(sql));
+            // the database toggles may have changed since the statement was prepared
+            stmt.safeIntegers(this.useBigInts).buffers(this.useBuffers).strictBinding(this.useStrictBinding);
+            try {
+                return callback(stmt);
+            } finally {
+                this.statementCache.checkin(sql, stmt);
+            }
+        }
+
         /** Execute an sql statement, and call a callback for each row of result.
 
          Currently this method is synchronous, it will not return until the callback
@@ -252,6 +846,7 @@ export default function (runtime, {Statement}) {
          @param {function(Object<string, Database.SqlValue>):void} callback
          Function to call on each row of result
          @param {function():void} done A function that will be called when all rows have been retrieved
+         @param {Database.RowOptions} [options] the shape of the rows passed to callback, they can be given in place of done
 
          @return {Database} The database object. Useful for method chaining
 
@@ -260,32 +855,64 @@ export default function (runtime, {Statement}) {
          function (row){console.log(row.name + " is a grown-up.")}
          );
          */
-        each(sql, params, callback, done) {
+        each(sql, params, callback, done, options) {
             if (typeof params === "function") {
+                options = done;
                 done = callback;
                 callback = params;
                 params = undefined;
             }
-            const stmt = this.prepare(sql, params);
-            try {
+            if (done != null && typeof done === "object") {
+                options = done;
+                done = undefined;
+            }
+            const mode = Statement.rowMode(options);
+            this.withStatement(sql, stmt => {
+                if (params != null) {
+                    stmt.bind(params);
+                }
+                let read = null;
                 while (stmt.step()) {
-                    callback(stmt.getAsObject());
+                    read = read || stmt.rowReader(mode);
+                    callback(read());
                 }
-            } finally {
-                stmt.free();
-            }
+            });
             if (typeof done === "function") {
                 return done();
             }
             return undefined;
         };
 
+        /** Prepare a statement and iterate over its rows without loading them all in memory,
+         the statement is freed when the iteration ends.
+         @see {@link Statement.iterate}
+         @param {string} sql a string of SQL, that can contain placeholders
+         @param {Statement.BindParams} [params] values to bind to placeholders
+         @param {Database.RowOptions} [options] the shape of the rows, `array: true` is the same as `raw: true`
+         @return {RowCursor} a sync and async iterator over the rows
+         */
+        iterate(sql, params, options) {
+            const mode = Statement.rowMode(options);
+            const stmt = this.prepare(sql, params);
+            return stmt.cursor(mode, () => stmt.free());
+        }
+
+        /** Stream the rows of a query, see {@link Database.iterate}
+         @param {string} sql
+         @param {Statement.BindParams} [params]
+         @param {Database.RowOptions} [options]
+         @return {Readable} an object mode Readable of the rows
+         */
+        stream(sql, params, options) {
+            return this.iterate(sql, params, options).stream();
+        }
+
         /** Prepare an SQL statement
          @param {string} sql a string of SQL, that can contain placeholders
          (`?`, `:VVV`, `:AAA`, `@AAA`)
          @param {Statement.BindParams} [params] values to bind to placeholders
          @return {Statement} the resulting statement
-         @throws {String} SQLite error
+         @throws {SqliteError} SQLite error
          */
         prepare(sql, params) {
             const stmt = this.createStatement(sql);
@@ -296,59 +923,338 @@ export default function (runtime, {Statement}) {
             return stmt;
         };
 
-        /** Exports the contents of the database to a binary array
+        /** Open a BLOB for incremental I/O, to read or write it in chunks instead of binding or reading it whole.
+         @param {Object} options
+         @param {string} options.table the table of the BLOB
+         @param {string} options.column its column
+         @param {number|bigint} options.rowid the rowid of its row
+         @param {string} [options.schema="main"] the database of the table, "main", "temp" or an attached one
+         @param {boolean} [options.writable=false] open the BLOB for writing
+         @return {BlobHandle} the handle, to be closed once done
+         @throws {SqliteError} if the row doesn't exist, or the column is indexed or part of the primary key
+         */
+        openBlob({table, column, rowid, schema = "main", writable = false}) {
+            if (!this.db) {
+                throw new SqliteError("Database closed", SQLITE_MISUSE);
+            }
+            setValue(apiTemp, 0, "i32");
+            this.handleError(sqlite3_blob_open(
+                this.db,
+                schema,
+                table,
+                column,
+                ...splitInt64(BigInt(rowid)),
+                writable ? 1 : 0,
+                apiTemp
+            ));
+            const blob = new BlobHandle(getValue(apiTemp, "i32"), this, !!writable);
+            this.blobs[blob.blob] = blob;
+            return blob;
+        }
+
+        /** Copy the database into another one with the online backup API.
+
+         The copy is incremental: `pagesPerStep` pages are copied at a time, yielding to the event loop
+         in between, so the source stays usable (and its prepared statements and functions untouched)
+         while the backup is running. Changes made to the source in the meantime restart the copy.
+
+         @example <caption>Snapshot to a file next to the working directory</caption>
+         await db.backup("snapshot.db", {
+             onProgress: ({totalPages, remainingPages}) => console.log(totalPages - remainingPages, "/", totalPages)
+         });
+         @example <caption>Copy into a fresh in memory database</caption>
+         const copy = await db.backup();
+
+         @param {Database|string} [destination] a Database, a dbfile path (see the constructor),
+         or nothing to copy into a new in memory Database
+         @param {Object} [options]
+         @param {number} [options.pagesPerStep=100] the number of pages copied at each step, -1 for all at once
+         @param {function({totalPages:number, remainingPages:number}):void} [options.onProgress] called after each step
+         @param {string} [options.schema="main"] the schema of this database to copy
+         @param {number} [options.timeout=5000] how long, in milliseconds, a step retries while the source or the
+         destination is locked by another connection, before the backup fails with SQLITE_BUSY or SQLITE_LOCKED
+         @return {Promise<Database|undefined>} the destination Database once done, nothing if it was a path
+         (the connection used for the copy is closed, the file is kept)
+         */
+        backup(destination, {pagesPerStep = 100, onProgress, schema = "main", timeout = 5000} = {}) {
+            if (!this.db) {
+                return Promise.reject(new SqliteError("Database closed", SQLITE_MISUSE));
+            }
+            const byPath = typeof destination === "string";
+            let target;
+            try {
+                target = byPath ? new Database({dbfile: destination}) : destination || new Database({memory: true});
+                if (!(target instanceof Database) || !target.db) {
+                    throw new SqliteError("The backup destination must be an open Database or a path", SQLITE_MISUSE);
+                }
+            } catch (error) {
+                return Promise.reject(error);
+            }
+            const source = this;
+            const backup = sqlite3_backup_init(target.db, "main", this.db, schema);
+            if (backup === NULL) {
+                const error = catchError(() => target.handleError(sqlite3_extended_errcode(target.db)));
+                if (byPath || !destination) {
+                    target.close();
+                }
+                return Promise.reject(error);
+            }
+
+            return new Promise((resolve, reject) => {
+                function finish(error) {
+                    const finishError = catchError(() => target.handleError(sqlite3_backup_finish(backup)));
+                    error = error || finishError;
+                    if (byPath || error && !destination) {
+                        target.close();
+                    }
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve(byPath ? undefined : target);
+                    }
+                }
+
+                // when the current step started to find the database locked
+                let lockedSince = null;
+
+                (function step() {
+                    if (!source.db || !target.db) {
+                        return finish(new SqliteError("Database closed during backup", SQLITE_MISUSE));
+                    }
+                    const returnCode = sqlite3_backup_step(backup, pagesPerStep);
+                    const primaryCode = returnCode & 0xff;
+                    if (primaryCode === SQLITE_BUSY || primaryCode === SQLITE_LOCKED) {
+                        lockedSince = lockedSince === null ? Date.now() : lockedSince;
+                        if (Date.now() - lockedSince >= timeout) {
+                            return finish(new SqliteError(
+                                `The backup gave up after ${timeout}ms, the database is ${primaryCode === SQLITE_BUSY ? "busy" : "locked"}`,
+                                returnCode
+                            ));
+                        }
+                        return setTimeout(step, BACKUP_RETRY_DELAY);
+                    }
+                    lockedSince = null;
+                    if (primaryCode !== SQLITE_DONE && primaryCode !== SQLITE_OK) {
+                        // the actual error is reported by sqlite3_backup_finish
+                        return finish();
+                    }
+                    if (onProgress) {
+                        try {
+                            onProgress({
+                                totalPages: sqlite3_backup_pagecount(backup),
+                                remainingPages: sqlite3_backup_remaining(backup)
+                            });
+                        } catch (error) {
+                            return finish(error);
+                        }
+                    }
+                    if (primaryCode === SQLITE_DONE) {
+                        return finish();
+                    }
+                    setImmediate(step);
+                })();
+            });
+        }
+
+        /** Exports the contents of the database to a binary array,
+         the prepared statements and the functions are left untouched
+         @see {@link Database.serialize}
          @return {Uint8Array} An array of bytes of the SQLite3 database file
          */
         export() {
-            Object.values(this.statements).forEach(function each(stmt) {
-                stmt.free();
-            });
-            Object.values(this.functions).forEach(removeFunction);
-            this.functions = {};
-            this.handleError(sqlite3_close_v2(this.db));
-            const binaryDb = FS.readFile(this.filename, {encoding: "binary"});
-            this.handleError(sqlite3_open(this.filename, apiTemp));
-            this.db = getValue(apiTemp, "i32");
-            return binaryDb;
+            this.statementCache.flush();
+            return this.serialize();
         };
 
+        /** Take a snapshot of a schema of the database, as the bytes of an SQLite3 database file.
+         @param {string} [schema="main"] the name of an attached database, "main" or "temp"
+         @return {Uint8Array} the content of the database file
+         */
+        serialize(schema = "main") {
+            if (!this.db) {
+                throw new SqliteError("Database closed", SQLITE_MISUSE);
+            }
+            const stack = stackSave();
+            try {
+                const pSize = stackAlloc(8); // sqlite3_int64
+                setValue(pSize, 0, "i64");
+                const ptr = sqlite3_serialize(this.db, schema, pSize, 0);
+                const size = getValue(pSize, "i32");
+                if (ptr === NULL) {
+                    if (size === 0) {
+                        return new Uint8Array(0);
+                    }
+                    throw new SqliteError(`Unable to serialize schema ${schema}`, SQLITE_NOMEM);
+                }
+                try {
+                    return readBytes(ptr, size);
+                } finally {
+                    sqlite3_free(ptr);
+                }
+            } finally {
+                stackRestore(stack);
+            }
+        }
+
+        /** Replace the content of a schema of this database with a serialized database,
+         it becomes an in memory database. The prepared statements and the functions are kept:
+         the statements being stepped are reset (keeping their bindings), their next step starts over
+         on the new content.
+         @param {Uint8Array} bytes the content of an SQLite3 database file, e.g. from {@link Database.serialize}
+         @param {Object} [options]
+         @param {string} [options.schema="main"] the schema to replace
+         @param {boolean} [options.readonly=false] make the deserialized database read only
+         @param {boolean} [options.resizable=true] allow the database to grow beyond the size of bytes
+         @return {Database} The database object (useful for method chaining)
+         */
+        deserialize(bytes, {schema = "main", readonly = false, resizable = true} = {}) {
+            if (!this.db) {
+                throw new SqliteError("Database closed", SQLITE_MISUSE);
+            }
+            // a schema can't be replaced under the cursors of the statements being stepped
+            Object.values(this.statements).forEach(stmt => sqlite3_reset(stmt.stmt));
+            const size = bytes.length;
+            // with FREEONCLOSE sqlite takes ownership of the buffer, which must come from sqlite3_malloc
+            const ptr = sqlite3_malloc(Math.max(size, 1));
+            if (ptr === NULL) {
+                throw new SqliteError("Unable to allocate the database", SQLITE_NOMEM);
+            }
+            runtime.HEAPU8.set(bytes, ptr);
+            let flags = SQLITE_DESERIALIZE_FREEONCLOSE;
+            if (readonly) {
+                flags |= SQLITE_DESERIALIZE_READONLY;
+            }
+            if (resizable) {
+                flags |= SQLITE_DESERIALIZE_RESIZEABLE;
+            }
+            // sqlite3_deserialize frees the buffer itself when it fails
+            this.handleError(sqlite3_deserialize(this.db, schema, ptr, size, 0, size, 0, flags));
+            return this;
+        }
+
+        /** Open a new in memory database from the bytes of an SQLite3 database file
+         @example
+         const copy = Database.deserialize(db.serialize(), {readonly: true});
+         @param {Uint8Array} bytes
+         @param {{readonly:boolean, resizable:boolean}} [options] see {@link Database#deserialize}
+         @return {Database} the new database
+         */
+        static deserialize(bytes, {readonly = false, resizable = true} = {}) {
+            const db = new Database({memory: true});
+            try {
+                return db.deserialize(bytes, {readonly, resizable});
+            } catch (error) {
+                db.close();
+                throw error;
+            }
+        }
+
         /** Close the database, and all associated prepared statements.
          * The memory associated to the database and all associated statements
          * will be freed.
          *
+         * The database file is kept, unless it's the temporary file of a database
+         * created without path or dbfile. Use {@link Database.destroy} to delete it.
+         *
          * **Warning**: A statement belonging to a database that has been closed cannot
          * be used anymore.
          *
          * Databases **must** be closed when you're finished with them, or the
          * memory consumption will grow forever
+         *
+         * @param {boolean} [unlink] **Deprecated**, whether to delete the database file
+         */
+        close(unlink) {
+            if (unlink !== undefined && !warnedLegacyClose) {
+                warnedLegacyClose = true;
+                console.warn("Database.close(unlink) is deprecated, use close() to keep the file or destroy() to delete it");
+            }
+            const temporary = !this.mount && !this.memory;
+            this.shutdown(unlink === undefined ? (temporary ? [""] : []) : unlink && !this.memory ? [""] : []);
+        };
+
+        /** Close the database and delete its file, together with its -journal, -wal and -shm companions.
+         It can also be called after {@link Database.close} to delete the files that were kept.
          */
-        close(unlink = true) {
+        destroy() {
+            if (this.db) {
+                this.shutdown(this.memory ? [] : DATABASE_FILE_SUFFIXES);
+            } else if (this.mount) {
+                // mount the directory again just for the time of deleting the files
+                const mount = mounts.open(this.mount.path);
+                try {
+                    removeFiles(mount.filename, DATABASE_FILE_SUFFIXES);
+                } finally {
+                    mount.release();
+                }
+            }
+        }
+
+        /** Free the statements and functions, close the connection, remove the files
+         with the given suffixes and release the mount
+         @param {string[]} suffixes the files to remove, "" is the database file itself
+         @nodoc
+         */
+        shutdown(suffixes) {
             // do nothing if db is null or already closed
             if (this.db === null) {
                 return;
             }
+            this.statementCache.flush();
             Object.values(this.statements).forEach(function each(stmt) {
                 stmt.free()
             });
-            Object.values(this.functions).forEach(removeFunction);
+            Object.values(this.blobs).forEach(function each(blob) {
+                blob.close()
+            });
+            removeFunctions(this.functions);
             this.functions = {};
-            this.handleError(sqlite3_close_v2(this.db));
-            if (unlink) {
-                FS.unlink(this.filename);
+            Object.keys(this.hooks).forEach(event => this.unsetHook(event));
+            this.setAuthorizer(null);
+            this.setBusyHandler(null);
+            try {
+                this.handleError(sqlite3_close_v2(this.db));
+            } finally {
+                // closing disconnects the virtual tables, their modules can only go afterwards
+                Object.values(this.modules).forEach(module => {
+                    module.pointers.forEach(removeFunction);
+                    freeModule(module);
+                });
+                this.modules = {};
+                Object.values(this.attachments).forEach(({mount}) => mount && mount.release());
+                this.attachments = {};
             }
             this.db = null;
-        };
+            try {
+                removeFiles(this.filename, suffixes);
+            } finally {
+                if (this.mount) {
+                    this.mount.release();
+                }
+            }
+        }
 
         /** Analyze a result code, return null if no error occured, and throw
-         an error with a descriptive message otherwise
+         a {@link SqliteError} with a descriptive message otherwise
+         @param {number} returnCode the result code of an sqlite3 api call
+         @param {string} [sql] the SQL text the call was running, if any
          @nodoc
          */
-        handleError(returnCode) {
+        handleError(returnCode, sql) {
+            if (this.callbackError) {
+                // sqlite failed because a callback did, its error says why,
+                // or a change listener threw and the call succeeded nonetheless
+                const error = this.callbackError;
+                this.callbackError = null;
+                throw error;
+            }
             if (returnCode === SQLITE_OK) {
                 return null;
             }
             const errmsg = sqlite3_errmsg(this.db);
-            throw new Error(errmsg);
+            // the error of the connection can be stale if returnCode didn't come from it (e.g. SQLITE_MISUSE)
+            const extendedCode = sqlite3_extended_errcode(this.db);
+            throw new SqliteError(errmsg, (extendedCode & 0xff) === (returnCode & 0xff) ? extendedCode : returnCode, sql);
         };
 
         /** Returns the number of changed rows (modified, inserted or deleted) by the
@@ -362,6 +1268,67 @@ export default function (runtime, {Statement}) {
             return sqlite3_changes(this.db);
         };
 
+        /** Whether the database is currently inside a transaction, i.e. it is
+         not in autocommit mode.
+         @return {boolean} true if a transaction is open
+         */
+        get inTransaction() {
+            return !!this.db && sqlite3_get_autocommit(this.db) === 0;
+        }
+
+        /** Wrap a function so that it runs inside a transaction.
+
+         The returned function begins a transaction, calls `fn` with the same
+         `this` and arguments, commits if `fn` returns and rolls back if it throws.
+         When it is called while a transaction is already open (e.g. from inside
+         another transaction function) a `SAVEPOINT` is used instead, so that only
+         the work of the nested call is undone on error.
+
+         The `deferred`, `immediate` and `exclusive` properties of the returned
+         function begin the outermost transaction with the matching `BEGIN` variant.
+
+         @example
+         const insert = db.prepare("INSERT INTO cats (name, age) VALUES (:name, :age)");
+         const insertMany = db.transaction(cats => {
+             for (const cat of cats) insert.run(cat);
+         });
+         insertMany([{':name': 'Joey', ':age': 2}, {':name': 'Sally', ':age': 4}]);
+         insertMany.immediate([{':name': 'Junior', ':age': 1}]);
+
+         @param {function} fn the function to run inside the transaction
+         @return {function} the wrapped function, returning what `fn` returns
+         */
+        transaction(fn) {
+            if (typeof fn !== "function") {
+                throw new SqliteError("Expected a function", SQLITE_MISUSE);
+            }
+            const db = this;
+
+            function wrap(begin) {
+                return function transaction() {
+                    const nested = db.inTransaction;
+                    db.run(nested ? "SAVEPOINT \"transaction\"" : begin);
+                    try {
+                        const result = fn.apply(this, arguments);
+                        db.run(nested ? "RELEASE \"transaction\"" : "COMMIT");
+                        return result;
+                    } catch (error) {
+                        // sqlite may already have rolled back on its own (e.g. SQLITE_FULL)
+                        if (db.inTransaction) {
+                            db.run(nested ? "ROLLBACK TO \"transaction\"; RELEASE \"transaction\"" : "ROLLBACK");
+                        }
+                        throw error;
+                    }
+                };
+            }
+
+            const transaction = wrap("BEGIN");
+            transaction.deferred = wrap("BEGIN DEFERRED");
+            transaction.immediate = wrap("BEGIN IMMEDIATE");
+            transaction.exclusive = wrap("BEGIN EXCLUSIVE");
+            return transaction;
+        }
+
         /** Register a custom function with SQLite
          @example Register a simple function
          db.create_function("addOne", function (x) {return x+1;})
@@ -369,77 +1336,27 @@ export default function (runtime, {Statement}) {
 
          @param {string} name the name of the function as referenced in SQL statements.
          @param {function} func the actual function to be executed.
+         @param {Object} [options]
+         @param {string[]} [options.argTypes] the declared types of the arguments, to convert them with {@link Database#types},
+         e.g. `["JSON"]` to receive the first one parsed
          @return {Database} The database object. Useful for method chaining
          */
-        create_function(name, func) {
+        create_function(name, func, {argTypes} = {}) {
 
-            function wrapped_func(cx, argc, argv) {
-
-                function extract_blob(ptr) {
-                    const size = sqlite3_value_bytes(ptr);
-                    const blob_ptr = sqlite3_value_blob(ptr);
-                    const blob_arg = new Uint8Array(size);
-                    for (let j = 0; j < size; j += 1) blob_arg[j] = HEAP8[blob_ptr + j];
-                    return blob_arg;
-                }
-
-                const args = [];
-                for (let i = 0; i < argc; i += 1) {
-                    const value_ptr = getValue(argv + (4 * i), "i32");
-                    const value_type = sqlite3_value_type(value_ptr);
-                    let arg;
-                    if (value_type === SQLITE_INTEGER || value_type === SQLITE_FLOAT) {
-                        arg = sqlite3_value_double(value_ptr);
-                    } else if (value_type === SQLITE3_TEXT) {
-                        arg = sqlite3_value_text(value_ptr);
-                    } else if (value_type === SQLITE_BLOB) {
-                        arg = extract_blob(value_ptr);
-                    } else arg = null;
-                    args.push(arg);
-                }
+            const db = this;
 
+            function wrapped_func(cx, argc, argv) {
                 try {
-                    const result = func.apply(null, args);
-                    switch (typeof result) {
-                        case "boolean":
-                            sqlite3_result_int(cx, result ? 1 : 0);
-                            break;
-                        case "number":
-                            sqlite3_result_double(cx, result);
-                            break;
-                        case "string":
-                            sqlite3_result_text(cx, result, -1, -1);
-                            break;
-                        case "object":
-                            if (result === null) {
-                                sqlite3_result_null(cx);
-                            } else if (result.length != null) {
-                                const blobptr = allocate(result, "i8", ALLOC_NORMAL);
-                                sqlite3_result_blob(cx, blobptr, result.length, -1);
-                                _free(blobptr);
-                            } else {
-                                sqlite3_result_error(cx, (
-                                    "Wrong API use : tried to return a value "
-                                    + "of an unknown type (" + result + ")."
-                                ), -1);
-                            }
-                            break;
-                        default:
-                            sqlite3_result_null(cx);
-                    }
+                    setResult(db, cx, func.apply(null, extractArgs(db, argc, argv, argTypes)));
                 } catch (error) {
-                    sqlite3_result_error(cx, error, -1);
+                    resultError(cx, error);
                 }
             }
 
-            if (Object.prototype.hasOwnProperty.call(this.functions, name)) {
-                removeFunction(this.functions[name]);
-                delete this.functions[name];
-            }
             // The signature of the wrapped function is :
             // void wrapped(sqlite3_context *db, int argc, sqlite3_value **argv)
             const func_ptr = addFunction(wrapped_func, "viii");
-            this.functions[name] = func_ptr;
+            this.registerFunction(name, [func_ptr]);
             this.handleError(sqlite3_create_function_v2(
                 this.db,
                 name,
@@ -453,5 +1370,370 @@ export default function (runtime, {Statement}) {
             ));
             return this;
         };
+
+        /** Register a custom aggregate function with SQLite
+
+         The state of each group is created by `init`, updated by `step` for every row
+         and turned into the result by `finalize`. Supplying both `inverse` and `value`
+         registers an aggregate window function, usable with an `OVER` clause.
+
+         @example Register a median aggregate
+         db.create_aggregate("median", {
+             init: () => [],
+             step: (values, value) => [...values, value],
+             finalize: values => values.sort((a, b) => a - b)[values.length >> 1]
+         });
+         db.exec("SELECT median(age) FROM users");
+
+         @example Register a moving sum window function
+         db.create_aggregate("moving_sum", {
+             init: 0,
+             step: (sum, value) => sum + value,
+             inverse: (sum, value) => sum - value,
+             value: sum => sum,
+             finalize: sum => sum
+         });
+         db.exec("SELECT moving_sum(x) OVER (ROWS BETWEEN 1 PRECEDING AND CURRENT ROW) FROM t");
+
+         @param {string} name the name of the function as referenced in SQL statements.
+         @param {Object} aggregate
+         @param {function():*|*} aggregate.init the initial state of a group, or a function returning it
+         @param {function(*, ...Database.SqlValue):*} aggregate.step returns the state updated with the arguments of a row,
+         the number of arguments of the SQL function is `step.length - 1` (any number if `step.length` is 0)
+         @param {function(*):Database.SqlValue} aggregate.finalize returns the result of a group from its state
+         @param {function(*, ...Database.SqlValue):*} [aggregate.inverse] returns the state with a row removed from the window
+         @param {function(*):Database.SqlValue} [aggregate.value] returns the current result of the window
+         @param {string[]} [aggregate.argTypes] the declared types of the arguments, see {@link Database.create_function}
+         @return {Database} The database object. Useful for method chaining
+         */
+        create_aggregate(name, {init, step, finalize, inverse, value, argTypes}) {
+            if (typeof step !== "function" || typeof finalize !== "function") {
+                throw new SqliteError("An aggregate requires a step and a finalize function", SQLITE_MISUSE);
+            }
+            const isWindow = inverse !== undefined || value !== undefined;
+            if (isWindow && (typeof inverse !== "function" || typeof value !== "function")) {
+                throw new SqliteError("A window function requires both an inverse and a value function", SQLITE_MISUSE);
+            }
+
+            const db = this;
+            // The state of each group, keyed by the address of its aggregate context
+            const states = new Map();
+
+            function state(cx) {
+                const ptr = sqlite3_aggregate_context(cx, 1);
+                if (!states.has(ptr)) {
+                    states.set(ptr, typeof init === "function" ? init() : init);
+                }
+                return ptr;
+            }
+
+            function wrapped_step(cx, argc, argv) {
+                try {
+                    const ptr = state(cx);
+                    states.set(ptr, step(states.get(ptr), ...extractArgs(db, argc, argv, argTypes)));
+                } catch (error) {
+                    resultError(cx, error);
+                }
+            }
+
+            function wrapped_inverse(cx, argc, argv) {
+                try {
+                    const ptr = state(cx);
+                    states.set(ptr, inverse(states.get(ptr), ...extractArgs(db, argc, argv, argTypes)));
+                } catch (error) {
+                    resultError(cx, error);
+                }
+            }
+
+            function wrapped_value(cx) {
+                try {
+                    setResult(db, cx, value(states.get(state(cx))));
+                } catch (error) {
+                    resultError(cx, error);
+                }
+            }
+
+            function wrapped_final(cx) {
+                // there is no context yet if the group had no rows
+                const ptr = sqlite3_aggregate_context(cx, 0);
+                try {
+                    const current = ptr !== NULL && states.has(ptr)
+                        ? states.get(ptr)
+                        : typeof init === "function" ? init() : init;
+                    setResult(db, cx, finalize(current));
+                } catch (error) {
+                    resultError(cx, error);
+                } finally {
+                    states.delete(ptr);
+                }
+            }
+
+            // void xStep(sqlite3_context*, int, sqlite3_value**) and void xFinal(sqlite3_context*)
+            const step_ptr = addFunction(wrapped_step, "viii");
+            const final_ptr = addFunction(wrapped_final, "vi");
+            const nArg = step.length > 0 ? step.length - 1 : -1;
+            if (isWindow) {
+                const value_ptr = addFunction(wrapped_value, "vi");
+                const inverse_ptr = addFunction(wrapped_inverse, "viii");
+                this.registerFunction(name, [step_ptr, final_ptr, value_ptr, inverse_ptr]);
+                this.handleError(sqlite3_create_window_function(
+                    this.db,
+                    name,
+                    nArg,
+                    SQLITE_UTF8,
+                    0,
+                    step_ptr,
+                    final_ptr,
+                    value_ptr,
+                    inverse_ptr,
+                    0
+                ));
+            } else {
+                this.registerFunction(name, [step_ptr, final_ptr]);
+                this.handleError(sqlite3_create_function_v2(
+                    this.db,
+                    name,
+                    nArg,
+                    SQLITE_UTF8,
+                    0,
+                    0,
+                    step_ptr,
+                    final_ptr,
+                    0
+                ));
+            }
+            return this;
+        }
+
+        /** Register a virtual table module implemented in JS, see https://www.sqlite.org/vtab.html
+
+         The methods get and return JS objects instead of the sqlite structs: `create` and `connect` return
+         the table object, with the `schema` to declare, that `bestIndex`, `open`, `update`, `disconnect`
+         and `destroy` then receive. `open` returns the cursor object (by default `{table}`) that
+         `filter`, `next`, `eof`, `column`, `rowid` and `close` receive.
+
+         A module without `create` only has an eponymous table, usable without `CREATE VIRTUAL TABLE`,
+         and one without `update` is read only.
+
+         @example <caption>A read only view of a Map</caption>
+         db.createModule("settings", {
+             connect: () => ({schema: "CREATE TABLE x(key TEXT, value)", entries: [...settings]}),
+             bestIndex(table, index) {
+                 index.estimatedCost = table.entries.length;
+             },
+             filter(cursor) {
+                 cursor.index = 0;
+             },
+             next: cursor => cursor.index++,
+             eof: cursor => cursor.index >= cursor.table.entries.length,
+             column: (cursor, i) => cursor.table.entries[cursor.index][i],
+             rowid: cursor => cursor.index + 1
+         });
+         db.query("SELECT value FROM settings WHERE key = 'theme'");
+
+         @param {string} name the name of the module, and of its eponymous table
+         @param {Object} module
+         @param {function({module:string, database:string, table:string, args:string[]}):Object} [module.create]
+         makes the table of a `CREATE VIRTUAL TABLE name USING module(...args)`, it's connect by default
+         @param {function({module:string, database:string, table:string, args:string[]}):Object} module.connect
+         makes the table object of an existing table, which must have a `schema` property with a `CREATE TABLE` statement
+         @param {function(Object, Object):void} module.bestIndex updates the index of a query plan: its input are the
+         `constraints` (`{column, op, usable}`, op being e.g. "=" or "LIKE") and `orderBy` (`{column, desc}`),
+         its output `constraintUsage` (`{argvIndex, omit}` per constraint), `idxNum`, `idxStr`, `orderByConsumed`,
+         `estimatedCost` and `estimatedRows`
+         @param {function(Object, Database.SqlValue[], {idxNum:number, idxStr:string}):void} module.filter starts a scan
+         with the values of the constraints given an argvIndex, and the idxNum and idxStr of the plan
+         @param {function(Object):void} module.next moves the cursor to the next row
+         @param {function(Object):boolean} module.eof whether the cursor is past the last row
+         @param {function(Object, number):Database.SqlValue} module.column the value of a column of the current row
+         @param {function(Object):number|bigint} module.rowid the rowid of the current row
+         @param {function(Object, Database.SqlValue[]):number|bigint|undefined} [module.update] applies a change:
+         `[rowid]` deletes a row, `[null, rowid, ...values]` inserts one (returning its rowid when rowid is null),
+         `[rowid, newRowid, ...values]` updates one
+         @param {function(Object):Object} [module.open] makes the cursor object of a table
+         @param {function(Object):void} [module.close] releases a cursor
+         @param {function(Object):void} [module.disconnect] releases a table
+         @param {function(Object):void} [module.destroy] releases a table on `DROP TABLE`, disconnect by default
+         @return {Database} The database object (useful for method chaining)
+         */
+        createModule(name, module) {
+            if (!this.db) {
+                throw new SqliteError("Database closed", SQLITE_MISUSE);
+            }
+            if (Object.prototype.hasOwnProperty.call(this.modules, name)) {
+                // the tables connected with the previous module may still use its functions
+                throw new SqliteError(`Module ${name} already exists`, SQLITE_MISUSE);
+            }
+            const created = createModule(this, module);
+            try {
+                this.handleError(sqlite3_create_module_v2(this.db, name, created.struct, NULL, NULL));
+            } catch (error) {
+                created.pointers.forEach(removeFunction);
+                freeModule(created);
+                throw error;
+            }
+            this.modules[name] = created;
+            return this;
+        }
+
+        /** Register an eponymous table-valued function: a table whose rows are generated by a JS function,
+         and whose parameters are given as the arguments of the table in the FROM clause.
+         @example
+         db.table("split", {
+             columns: ["part"],
+             parameters: ["text", "separator"],
+             rows: function* (text, separator) {
+                 yield* text.split(separator);
+             }
+         });
+         db.query("SELECT part FROM split('a,b,c', ',')"); // [{part: 'a'}, {part: 'b'}, {part: 'c'}]
+         @param {string} name the name of the table
+         @param {Object} options
+         @param {string[]} options.columns the names of the columns
+         @param {string[]} [options.parameters] the names of the parameters, they are hidden columns of the table
+         @param {function(...Database.SqlValue):Iterable} options.rows returns the rows for the values of the parameters
+         (null for the missing ones), as arrays, objects keyed by column name or, for a single column, plain values
+         @return {Database} The database object (useful for method chaining)
+         */
+        table(name, options) {
+            return this.createModule(name, tableModule(options));
+        }
+
+        /** Authorize each action of the statements being prepared, e.g. to forbid ATTACH, DROP or some tables.
+         The authorizer is called with the action code (see `AUTHORIZER_ACTIONS`) and its arguments, that depend
+         on the action (e.g. the table and column for SQLITE_READ), the database name, and the innermost trigger
+         or view responsible for the action; the missing arguments are null. It returns:
+         - "ok" to allow the action
+         - "deny" to fail the preparation of the statement with SQLITE_AUTH
+         - "ignore" to skip the action, e.g. a SQLITE_READ column reads as NULL
+         An authorizer that throws denies the action, and its error is thrown instead of SQLITE_AUTH.
+         Setting an authorizer replaces the previous one and expires the prepared statements, they are
+         authorized again when they are next run.
+         @param {?function(number, ?string, ?string, ?string, ?string):string} authorizer null to remove it
+         @return {Database} The database object (useful for method chaining)
+         @example
+         const {SQLITE_ATTACH, SQLITE_DETACH} = AUTHORIZER_ACTIONS;
+         db.setAuthorizer(action => action === SQLITE_ATTACH || action === SQLITE_DETACH ? "deny" : "ok");
+         */
+        setAuthorizer(authorizer) {
+            if (!this.db) {
+                throw new SqliteError("Database closed", SQLITE_MISUSE);
+            }
+            // int(*)(void *, int action, const char *, const char *, const char *db, const char *trigger)
+            const pointer = authorizer ? addFunction((pArg, action, arg1, arg2, schema, trigger) => {
+                try {
+                    const result = authorizer(action, readString(arg1), readString(arg2), readString(schema), readString(trigger));
+                    if (!AUTHORIZER_RESULTS.hasOwnProperty(result)) {
+                        throw new TypeError(`The authorizer returned ${result}, expected "ok", "deny" or "ignore"`);
+                    }
+                    return AUTHORIZER_RESULTS[result];
+                } catch (error) {
+                    this.callbackError = error;
+                    return SQLITE_DENY;
+                }
+            }, "iiiiiii") : NULL;
+            sqlite3_set_authorizer(this.db, pointer, NULL);
+            if (this.authorizer !== NULL) {
+                removeFunction(this.authorizer);
+            }
+            this.authorizer = pointer;
+            this.callbackError = null;
+            return this;
+        }
+
+        /** Decide whether to keep waiting when a table is locked by another connection, e.g. to back off.
+         The handler is called with the number of times it was already called for the same lock, and returns
+         true to retry, false to fail with SQLITE_BUSY. A handler that throws fails too, with its error.
+         It replaces the `timeout` of the constructor, and conversely.
+         @param {?function(number):boolean} handler null to fail right away
+         @return {Database} The database object (useful for method chaining)
+         @example
+         db.setBusyHandler(count => {
+             Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 10 * 2 ** count);
+             return count < 5;
+         });
+         */
+        setBusyHandler(handler) {
+            if (!this.db) {
+                throw new SqliteError("Database closed", SQLITE_MISUSE);
+            }
+            // int(*)(void *, int count)
+            const pointer = handler ? addFunction((pArg, count) => {
+                try {
+                    return handler(count) ? 1 : 0;
+                } catch (error) {
+                    this.callbackError = error;
+                    return 0;
+                }
+            }, "iii") : NULL;
+            sqlite3_busy_handler(this.db, pointer, NULL);
+            if (this.busyHandler !== NULL) {
+                removeFunction(this.busyHandler);
+            }
+            this.busyHandler = pointer;
+            return this;
+        }
+
+        /** Set the sqlite hook of an event
+         @param {string} event
+         @nodoc
+         */
+        setHook(event) {
+            if (!this.db) {
+                return;
+            }
+            const {set, signature, callback} = HOOKS[event];
+            const pointer = addFunction(callback(this), signature);
+            set(this.db, pointer, NULL);
+            this.hooks[event] = pointer;
+        }
+
+        /** Unset the sqlite hook of an event and release its wasm table entry
+         @param {string} event
+         @nodoc
+         */
+        unsetHook(event) {
+            const {set, unset} = HOOKS[event];
+            if (this.db) {
+                set(this.db, NULL, NULL);
+                if (unset) {
+                    unset(this.db);
+                }
+            }
+            removeFunction(this.hooks[event]);
+            delete this.hooks[event];
+        }
+
+        /** Emit the event of a hook, the listeners must not throw through sqlite: their error is emitted
+         as "error" once the sqlite call returns, or kept to be thrown by the call when nothing listens to "error"
+         @param {string} event
+         @param {...*} args
+         @return {boolean} false when a listener threw an error that the call has to throw
+         @nodoc
+         */
+        emitHook(event, ...args) {
+            try {
+                this.emit(event, ...args);
+            } catch (error) {
+                if (this.listenerCount("error") === 0) {
+                    this.callbackError = error;
+                    return false;
+                }
+                process.nextTick(() => this.emit("error", error));
+            }
+            return true;
+        }
+
+        /** Keep track of the wasm table entries of a user function, releasing the ones
+         of a previous function with the same name
+         @nodoc
+         */
+        registerFunction(name, pointers) {
+            if (Object.prototype.hasOwnProperty.call(this.functions, name)) {
+                this.functions[name].forEach(removeFunction);
+                delete this.functions[name];
+            }
+            this.functions[name] = pointers;
+        }
     }
 }
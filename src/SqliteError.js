@@ -0,0 +1,66 @@
+import * as sqlite3h from "../out/sqlite3.h.js";
+
+// The primary result codes, the extended ones are named after them (e.g. SQLITE_CONSTRAINT_UNIQUE)
+const PRIMARY_RESULT_CODES = [
+    "SQLITE_OK", "SQLITE_ERROR", "SQLITE_INTERNAL", "SQLITE_PERM", "SQLITE_ABORT", "SQLITE_BUSY",
+    "SQLITE_LOCKED", "SQLITE_NOMEM", "SQLITE_READONLY", "SQLITE_INTERRUPT", "SQLITE_IOERR",
+    "SQLITE_CORRUPT", "SQLITE_NOTFOUND", "SQLITE_FULL", "SQLITE_CANTOPEN", "SQLITE_PROTOCOL",
+    "SQLITE_EMPTY", "SQLITE_SCHEMA", "SQLITE_TOOBIG", "SQLITE_CONSTRAINT", "SQLITE_MISMATCH",
+    "SQLITE_MISUSE", "SQLITE_NOLFS", "SQLITE_AUTH", "SQLITE_FORMAT", "SQLITE_RANGE", "SQLITE_NOTADB",
+    "SQLITE_NOTICE", "SQLITE_WARNING", "SQLITE_ROW", "SQLITE_DONE"
+];
+
+const resultCodeNames = new Map();
+for (const primary of PRIMARY_RESULT_CODES) {
+    const code = sqlite3h[primary];
+    resultCodeNames.set(code, primary);
+    for (const [name, value] of Object.entries(sqlite3h)) {
+        if (name.startsWith(`${primary}_`) && value > 0xff && (value & 0xff) === code) {
+            resultCodeNames.set(value, name);
+        }
+    }
+}
+
+/**
+ * @classdesc
+ * The error thrown by {@link Database} and {@link Statement} when sqlite reports a failure
+ * or when the API is misused (e.g. using a closed database).
+ *
+ * @example <caption>Tell a busy database from a constraint violation</caption>
+ * try {
+ *     db.run("INSERT INTO test VALUES (1)");
+ * } catch (e) {
+ *     if (e instanceof SqliteError && e.code === SQLITE_BUSY) retry();
+ *     else if (e.codeName === "SQLITE_CONSTRAINT_UNIQUE") ...
+ * }
+ */
+export default class SqliteError extends Error {
+
+    /**
+     * @param {string} message The error message, usually from sqlite3_errmsg
+     * @param {number} extendedCode The (extended) result code, the primary code is its least significant byte
+     * @param {string} [sql] The SQL text being run when the error occurred
+     */
+    constructor(message, extendedCode, sql) {
+        super(message);
+        this.name = "SqliteError";
+        /** @type {number} the primary result code, e.g. SQLITE_CONSTRAINT */
+        this.code = extendedCode & 0xff;
+        /** @type {number} the extended result code, e.g. SQLITE_CONSTRAINT_UNIQUE */
+        this.extendedCode = extendedCode;
+        /** @type {string} the symbolic name of the extended result code */
+        this.codeName = SqliteError.codeName(extendedCode);
+        if (sql !== undefined) {
+            /** @type {string} the offending SQL */
+            this.sql = sql;
+        }
+    }
+
+    /** The symbolic name of a result code
+     @param {number} code a primary or extended result code
+     @return {string} e.g. "SQLITE_CONSTRAINT_UNIQUE", or "SQLITE_UNKNOWN" for codes sqlite3.h doesn't define
+     */
+    static codeName(code) {
+        return resultCodeNames.get(code) || resultCodeNames.get(code & 0xff) || "SQLITE_UNKNOWN";
+    }
+}
@@ -4,23 +4,24 @@ import {
     SQLITE_DONE,
     SQLITE_FLOAT,
     SQLITE_INTEGER,
+    SQLITE_MISUSE,
     SQLITE_OK,
+    SQLITE_RANGE,
     SQLITE_ROW
 } from "../out/sqlite3.h.js"
 
+import {Readable} from "stream";
 import sqlite3api from "./sqlite3-api.js";
+import SqliteError from "./SqliteError.js";
+import {checkSafeInteger, splitInt64} from "./integers.js";
+import heap from "./heap.js";
 
 export default function (runtime) {
 
     const NULL = 0; // Null pointer
+    const SQLITE_TRANSIENT = -1; // sqlite makes its own copy of the bound value
 
-    const {
-        ALLOC_NORMAL,
-        HEAP8,
-        _free,
-        allocate,
-        intArrayFromString,
-    } = runtime;
+    const {asBytes, readBytes, readString, writeBytes, writeString, free} = heap(runtime);
 
     const {
         sqlite3_step,
@@ -31,16 +32,124 @@ export default function (runtime) {
         sqlite3_column_type,
         sqlite3_data_count,
         sqlite3_column_name,
+        sqlite3_column_count,
+        sqlite3_column_decltype,
+        sqlite3_column_database_name,
+        sqlite3_column_table_name,
+        sqlite3_column_origin_name,
         sqlite3_bind_text,
         sqlite3_bind_int,
+        sqlite3_bind_int64,
         sqlite3_bind_double,
         sqlite3_bind_blob,
+        sqlite3_bind_zeroblob,
+        sqlite3_bind_parameter_count,
+        sqlite3_bind_parameter_name,
         sqlite3_bind_parameter_index,
         sqlite3_clear_bindings,
         sqlite3_reset,
-        sqlite3_finalize
+        sqlite3_finalize,
+        sqlite3_sql,
+        sqlite3_expanded_sql,
+        sqlite3_stmt_readonly,
+        sqlite3_free
     } = sqlite3api(runtime);
 
+    /**
+     * @classdesc
+     * A forward only cursor over the rows of a statement, it's both a sync and an async iterator.
+     *
+     * Cursors can't be created by the API user directly, only by
+     * Statement::iterate and Database::iterate
+     */
+    class RowCursor {
+
+        /**
+         * @private
+         * @param {Statement} statement The statement to step through
+         * @param {string} mode The shape of the rows, see {@link Statement.rowReader}
+         * @param {function():void} done Called once, when the cursor is exhausted or closed
+         */
+        constructor(statement, mode, done) {
+            this.statement = statement;
+            this.mode = mode;
+            this.done = done;
+            this.read = null;
+        }
+
+        next() {
+            if (this.done === null) {
+                return {value: undefined, done: true};
+            }
+            const statement = this.statement;
+            try {
+                if (!statement.step()) {
+                    return this.return();
+                }
+                const read = this.read || (this.read = statement.rowReader(this.mode));
+                return {value: read(), done: false};
+            } catch (error) {
+                this.return();
+                throw error;
+            }
+        }
+
+        /** Stop iterating and release the statement, this is what breaking out of a for...of loop calls */
+        return(value) {
+            const done = this.done;
+            if (done !== null) {
+                this.done = null;
+                done();
+            }
+            return {value, done: true};
+        }
+
+        throw(error) {
+            this.return();
+            throw error;
+        }
+
+        [Symbol.iterator]() {
+            return this;
+        }
+
+        [Symbol.asyncIterator]() {
+            const cursor = this;
+            return {
+                next: async () => cursor.next(),
+                return: async value => cursor.return(value),
+                throw: async error => cursor.throw(error),
+                [Symbol.asyncIterator]() {
+                    return this;
+                }
+            };
+        }
+
+        /** Adapt the cursor to a Node.js Readable stream in object mode
+         @return {Readable}
+         */
+        stream() {
+            const cursor = this;
+            return new Readable({
+                objectMode: true,
+                read() {
+                    let result;
+                    try {
+                        result = cursor.next();
+                    } catch (error) {
+                        this.destroy(error);
+                        return;
+                    }
+                    this.push(result.done ? null : result.value);
+                },
+                destroy(error, callback) {
+                    cursor.return();
+                    callback(error);
+                }
+            });
+        }
+    }
+
     /**
      * @classdesc
      * Represents a prepared statement.
@@ -72,12 +181,115 @@ export default function (runtime) {
             this.db = db;
             // Index of the leftmost parameter is 1
             this.pos = 1;
-            // Pointers to allocated memory, that need to be freed
-            // when the statemend is destroyed
-            this.allocatedmem = [];
+            // Whether INTEGER columns are read as BigInt
+            this.useBigInts = !!db.useBigInts;
+            // Whether BLOB columns are read as Buffer
+            this.useBuffers = !!db.useBuffers;
+            // Whether bind checks that the values match the parameters one to one
+            this.useStrictBinding = !!db.useStrictBinding;
+            // The shape of the rows: "object", "raw", "pluck" or "expand"
+            this.rowMode = "object";
+        }
+
+        /** Get the row mode of the options of the Database methods and of iterate
+         @param {{raw:boolean, pluck:boolean, expand:boolean, array:boolean}} [options] `array` is the same as `raw`
+         @param {string} [defaultMode="object"] the mode when none of the options is set
+         @return {string}
+         @private
+         @nodoc
+         */
+        static rowMode({raw = false, pluck = false, expand = false, array = false} = {}, defaultMode = "object") {
+            const modes = [raw || array ? "raw" : null, pluck ? "pluck" : null, expand ? "expand" : null].filter(Boolean);
+            if (modes.length > 1) {
+                throw new SqliteError(`Conflicting row modes: ${modes.join(", ")}`, SQLITE_MISUSE);
+            }
+            return modes.length ? modes[0] : defaultMode;
+        }
+
+        /** Toggle returning the rows as arrays of values, from {@link Statement.all}, {@link Statement.exec}
+         and {@link Statement.iterate}. It turns the other row modes off.
+         @param {boolean} [toggle=true] false goes back to rows as objects
+         @return {Statement} The statement object (useful for method chaining)
+         */
+        raw(toggle = true) {
+            return this.setRowMode("raw", toggle);
+        }
+
+        /** Toggle returning only the value of the first column instead of the rows,
+         e.g. `db.prepare("SELECT name FROM users").pluck().all()` gives an array of names. It turns the other row modes off.
+         @param {boolean} [toggle=true] false goes back to rows as objects
+         @return {Statement} The statement object (useful for method chaining)
+         */
+        pluck(toggle = true) {
+            if (toggle) {
+                this.checkPluck();
+            }
+            return this.setRowMode("pluck", toggle);
+        }
+
+        /** Toggle returning the rows as objects nested by table, so that the columns of the same name
+         in a join don't overwrite each other: `{users: {id, name}, posts: {id, title}}`.
+         The columns that don't come from a table (expressions) are under `$`.
+         Tables are told apart by name, not by alias, so the two sides of a self join are still merged.
+         It turns the other row modes off.
+         @param {boolean} [toggle=true] false goes back to rows as objects
+         @return {Statement} The statement object (useful for method chaining)
+         */
+        expand(toggle = true) {
+            return this.setRowMode("expand", toggle);
+        }
+
+        /** @private */
+        checkPluck() {
+            this.checkOpen();
+            if (sqlite3_column_count(this.stmt) === 0) {
+                throw new SqliteError("pluck() needs a statement that returns data", SQLITE_MISUSE, sqlite3_sql(this.stmt));
+            }
+        }
+
+        /** @private */
+        setRowMode(mode, toggle) {
+            if (toggle) {
+                this.rowMode = mode;
+            } else if (this.rowMode === mode) {
+                this.rowMode = "object";
+            }
+            return this;
+        }
+
+        /** @typedef {string|number|bigint|null|Uint8Array|Buffer} Database.SqlValue */
+
+        /** Toggle reading INTEGER columns as BigInt instead of number.
+         The default is inherited from {@link Database.safeIntegers} when the statement is prepared.
+         @param {boolean} [toggle=true]
+         @return {Statement} The statement object (useful for method chaining)
+         */
+        safeIntegers(toggle = true) {
+            this.useBigInts = !!toggle;
+            return this;
+        }
+
+        /** Toggle reading BLOB columns as Node.js Buffer instead of Uint8Array.
+         The default is inherited from {@link Database.buffers} when the statement is prepared.
+         @param {boolean} [toggle=true]
+         @return {Statement} The statement object (useful for method chaining)
+         */
+        buffers(toggle = true) {
+            this.useBuffers = !!toggle;
+            return this;
         }
 
-        /** @typedef {string|number|null|Uint8Array} Database.SqlValue */
+        /** Toggle the strict binding mode: bind throws a SqliteError (SQLITE_RANGE) for the names that match
+         no parameter, the parameters left without a value and the extra positional values,
+         instead of ignoring the former and binding NULL to the others.
+         The default is inherited from {@link Database.strictBinding} when the statement is prepared.
+         @param {boolean} [toggle=true]
+         @return {Statement} The statement object (useful for method chaining)
+         */
+        strictBinding(toggle = true) {
+            this.useStrictBinding = !!toggle;
+            return this;
+        }
 
         /** @typedef {Database.SqlValue[]|Object<string, Database.SqlValue>|null} Statement.BindParams
          */
@@ -89,17 +301,24 @@ export default function (runtime) {
          * where NNN is a number and VVV a string.
          * This function binds these parameters to the given values.
          *
-         * *Warning*: ':', '@', and '$' are included in the parameters names
+         * The names can be given with their ':', '@' or '$' prefix, or without it: `{id: 1}` binds
+         * `:id`, `@id` and `$id`, whichever the statement uses.
+         *
+         * Names that match no parameter are ignored and the parameters without a value are NULL,
+         * unless the statement is in strict binding mode, see {@link Statement.strictBinding}.
          *
          * ## Value types
          * Javascript type  | SQLite type
          * -----------------| -----------
          * number           | REAL, INTEGER
+         * bigint           | INTEGER
          * boolean          | INTEGER
          * string           | TEXT
          * Array, Uint8Array| BLOB
          * null             | NULL
          *
+         * `undefined` is rejected, use `null` to bind NULL.
+         *
          * @example <caption>Bind values to named parameters</caption>
          *     const stmt = db.prepare(
          *         "UPDATE test SET a=@newval WHERE id BETWEEN $mini AND $maxi"
@@ -117,11 +336,11 @@ export default function (runtime) {
 
          * @param {Statement.BindParams} values The values to bind
          * @return {boolean} true if it worked
-         * @throws {String} SQLite Error
+         * @throws {SqliteError} SQLite Error
          */
         bind(values) {
             if (!this.stmt) {
-                throw "Statement closed";
+                throw new SqliteError("Statement closed", SQLITE_MISUSE);
             }
             this.reset();
             if (Array.isArray(values)) return this.bindFromArray(values);
@@ -133,21 +352,22 @@ export default function (runtime) {
          that can be retrieved with {@link Statement.get}.
 
          @return {boolean} true if a row of result available
-         @throws {String} SQLite Error
+         @throws {SqliteError} SQLite Error
          */
         step() {
             if (!this.stmt) {
-                throw "Statement closed";
+                throw new SqliteError("Statement closed", SQLITE_MISUSE);
             }
             this.pos = 1;
             const ret = sqlite3_step(this.stmt);
             switch (ret) {
                 case SQLITE_ROW:
-                    return true;
                 case SQLITE_DONE:
-                    return false;
+                    // throws the error of a change listener, when there is no "error" listener
+                    this.handleError(SQLITE_OK);
+                    return ret === SQLITE_ROW;
                 default:
-                    throw this.db.handleError(ret);
+                    throw this.handleError(ret);
             }
         }
 
@@ -162,6 +382,21 @@ export default function (runtime) {
             return sqlite3_column_double(this.stmt, pos);
         }
 
+        getInteger(pos) {
+            if (pos == null) {
+                pos = this.pos++;
+            }
+            return this.useBigInts ? this.getBigInt(pos) : checkSafeInteger(this.getNumber(pos));
+        }
+
+        getBigInt(pos) {
+            if (pos == null) {
+                pos = this.pos++;
+            }
+            // the decimal text of an INTEGER is exact, its double value is not
+            return BigInt(sqlite3_column_text(this.stmt, pos));
+        }
+
         getString(pos) {
             if (pos == null) {
                 pos = this.pos++;
@@ -173,15 +408,10 @@ export default function (runtime) {
             if (pos == null) {
                 pos = this.pos++;
             }
-            const size = sqlite3_column_bytes(this.stmt, pos);
+            // sqlite3_column_bytes after sqlite3_column_blob, as it may convert the value
             const ptr = sqlite3_column_blob(this.stmt, pos);
-            const result = new Uint8Array(size);
-            let i = 0;
-            while (i < size) {
-                result[i] = HEAP8[ptr + i];
-                i += 1;
-            }
-            return result;
+            const size = sqlite3_column_bytes(this.stmt, pos);
+            return readBytes(ptr, size, this.useBuffers);
         }
 
         /** Get one row of results of a statement.
@@ -202,25 +432,57 @@ export default function (runtime) {
             const ref = sqlite3_data_count(this.stmt);
             let field = 0;
             while (field < ref) {
-                switch (sqlite3_column_type(this.stmt, field)) {
-                    case SQLITE_INTEGER:
-                    case SQLITE_FLOAT:
-                        results1.push(this.getNumber(field));
-                        break;
-                    case SQLITE3_TEXT:
-                        results1.push(this.getString(field));
-                        break;
-                    case SQLITE_BLOB:
-                        results1.push(this.getBlob(field));
-                        break;
-                    default:
-                        results1.push(null);
-                }
+                results1.push(this.getValue(field));
                 field += 1;
             }
             return results1;
         }
 
+        /** Get the value of a column of the current row, according to its type in that row
+         @param {number} index
+         @return {Database.SqlValue}
+         @private
+         @nodoc
+         */
+        getValue(index) {
+            let value;
+            switch (sqlite3_column_type(this.stmt, index)) {
+                case SQLITE_INTEGER:
+                    value = this.getInteger(index);
+                    break;
+                case SQLITE_FLOAT:
+                    value = this.getNumber(index);
+                    break;
+                case SQLITE3_TEXT:
+                    value = this.getString(index);
+                    break;
+                case SQLITE_BLOB:
+                    value = this.getBlob(index);
+                    break;
+                default:
+                    return null;
+            }
+            const types = this.db.types;
+            return types.reading ? types.fromSql(value, this.declaredType(index)) : value;
+        }
+
+        /** The declared type of a result column, looked up once per statement
+         @param {number} index
+         @return {string|null}
+         @private
+         @nodoc
+         */
+        declaredType(index) {
+            if (!this.declaredTypes) {
+                const count = sqlite3_column_count(this.stmt);
+                this.declaredTypes = [];
+                for (let i = 0; i < count; i += 1) {
+                    this.declaredTypes.push(readString(sqlite3_column_decltype(this.stmt, i)));
+                }
+            }
+            return this.declaredTypes[index];
+        }
+
         /** Get the list of column names of a row of result of a statement.
          @return {string[]} The names of the columns
          @example
@@ -240,6 +502,88 @@ export default function (runtime) {
             return results1;
         }
 
+        /** @typedef {Object} Statement.ColumnInfo
+         @property {string} name the name of the column in the result, as given by AS
+         @property {string|null} type the declared type of the table column, null for an expression
+         @property {string|null} database the schema of the table column (e.g. "main"), null for an expression
+         @property {string|null} table the table of the column, null for an expression
+         @property {string|null} column the name of the column in its table, null for an expression
+         */
+
+        /** Describe the columns of the result, available without stepping the statement.
+         @example
+         db.prepare("SELECT id AS key, length(name) FROM users").columns();
+         // [{name: "key", type: "INTEGER", database: "main", table: "users", column: "id"},
+         //  {name: "length(name)", type: null, database: null, table: null, column: null}]
+         @return {Statement.ColumnInfo[]} an empty array for a statement that returns no data
+         */
+        columns() {
+            this.checkOpen();
+            const columns = [];
+            const count = sqlite3_column_count(this.stmt);
+            for (let i = 0; i < count; i += 1) {
+                columns.push({
+                    name: sqlite3_column_name(this.stmt, i),
+                    type: readString(sqlite3_column_decltype(this.stmt, i)),
+                    database: readString(sqlite3_column_database_name(this.stmt, i)),
+                    table: readString(sqlite3_column_table_name(this.stmt, i)),
+                    column: readString(sqlite3_column_origin_name(this.stmt, i))
+                });
+            }
+            return columns;
+        }
+
+        /** List the parameters of the statement, in the order of their positions.
+         @example
+         db.prepare("SELECT * FROM users WHERE id = ? OR name = :name").parameters(); // [null, ":name"]
+         @return {Array<string|null>} the names, prefix included, null for the nameless `?` parameters
+         */
+        parameters() {
+            this.checkOpen();
+            const parameters = [];
+            const count = sqlite3_bind_parameter_count(this.stmt);
+            for (let i = 1; i <= count; i += 1) {
+                parameters.push(readString(sqlite3_bind_parameter_name(this.stmt, i)));
+            }
+            return parameters;
+        }
+
+        /** Whether the statement doesn't write to the database
+         @return {boolean}
+         */
+        get readonly() {
+            this.checkOpen();
+            return sqlite3_stmt_readonly(this.stmt) !== 0;
+        }
+
+        /** The SQL text of the statement
+         @return {string}
+         */
+        get sql() {
+            this.checkOpen();
+            return sqlite3_sql(this.stmt);
+        }
+
+        /** The SQL text of the statement with its parameters replaced by the values bound to them
+         @return {string}
+         */
+        get expandedSql() {
+            this.checkOpen();
+            const ptr = sqlite3_expanded_sql(this.stmt);
+            try {
+                return readString(ptr);
+            } finally {
+                sqlite3_free(ptr);
+            }
+        }
+
+        /** @private */
+        checkOpen() {
+            if (!this.stmt) {
+                throw new SqliteError("Statement closed", SQLITE_MISUSE);
+            }
+        }
+
         /** Get one row of result as a javascript object, associating column names
          with their value in the current row.
          @param {Statement.BindParams} [params] If set, the values will be bound
@@ -270,42 +614,136 @@ export default function (runtime) {
             return rowObject;
         }
 
-        exec(params) {
-            try {
-                if (params) {
-                    this.bind(params);
-                }
-                const results = [];
-                if (this.step()) {
-                    const columns = this.getColumnNames();
-                    const setters = columns.map((name, index) => {
-                        switch (sqlite3_column_type(this.stmt, index)) {
-                            case SQLITE_INTEGER:
-                            case SQLITE_FLOAT:
-                                return row => row[name] = this.getNumber(index);
-                            case SQLITE3_TEXT:
-                                return row => row[name] = this.getString(index);
-                            case SQLITE_BLOB:
-                                return row => row[name] = this.getBlob(index);
-                            default:
-                                return row => row[name] = null;
-                        }
+        /** Make the function that reads the current row in a row mode.
+         The work that doesn't depend on the row (names, tables) is done once, here, while the values
+         are read according to their type in each row since a column can hold values of different types.
+         @param {string} [mode] "object", "raw", "pluck" or "expand", the mode of the statement by default
+         @return {function():*} reads the current row
+         @private
+         @nodoc
+         */
+        rowReader(mode = this.rowMode) {
+            this.checkOpen();
+            const count = sqlite3_column_count(this.stmt);
+            switch (mode) {
+                case "raw":
+                    return () => this.get();
+                case "pluck":
+                    this.checkPluck();
+                    return () => this.getValue(0);
+                case "expand": {
+                    const columns = this.columns();
+                    const tables = [...new Set(columns.map(({table}) => table || "$"))];
+                    const setters = columns.map(({name, table}, index) => {
+                        const key = table || "$";
+                        return row => row[key][name] = this.getValue(index);
                     });
-                    do {
-                        const row = Object.create(null);
+                    return () => {
+                        const row = {};
+                        for (const table of tables) {
+                            row[table] = {};
+                        }
                         for (const setter of setters) {
                             setter(row);
                         }
-                        results.push(row);
-
-                    } while (this.step());
+                        return row;
+                    };
+                }
+                default: {
+                    const setters = [];
+                    for (let index = 0; index < count; index += 1) {
+                        const name = sqlite3_column_name(this.stmt, index);
+                        setters.push(row => row[name] = this.getValue(index));
+                    }
+                    return () => {
+                        const row = {};
+                        for (const setter of setters) {
+                            setter(row);
+                        }
+                        return row;
+                    };
                 }
-                return results;
+            }
+        }
+
+        /** Get all the rows of result, as objects unless another row mode is set
+         (see {@link Statement.raw}, {@link Statement.pluck} and {@link Statement.expand})
+         @param {Statement.BindParams} [params] If set, the values will be bound to the statement first
+         @return {Array<Object<string, Database.SqlValue>>|Array<Database.SqlValue[]>|Database.SqlValue[]} The rows
+         */
+        all(params) {
+            if (params) {
+                this.bind(params);
+            }
+            const results = [];
+            if (this.step()) {
+                const read = this.rowReader();
+                do {
+                    results.push(read());
+                } while (this.step());
+            }
+            return results;
+        }
+
+        /** Get all the rows of result, see {@link Statement.all}, and free the statement
+         @param {Statement.BindParams} [params] If set, the values will be bound to the statement first
+         @return {Array<Object<string, Database.SqlValue>>|Array<Database.SqlValue[]>|Database.SqlValue[]} The rows
+         */
+        exec(params) {
+            try {
+                return this.all(params);
             } finally {
                 this.free();
             }
         }
 
+        /** Iterate over the rows of the statement without loading them all in memory.
+
+         The returned cursor can be used both with `for...of` and `for await...of`,
+         breaking out of the loop (or exhausting it) resets the statement so that it can be used again.
+
+         @example
+         const stmt = db.prepare("SELECT * FROM test WHERE age > ?");
+         for (const row of stmt.iterate([18])) {
+             if (row.name === "Paul") break;
+         }
+
+         @param {Statement.BindParams} [params] If set, the values will be bound to the statement first
+         @param {{array:boolean}} [options] `array: true` yields arrays of values instead of rows in the mode of the statement
+         @return {RowCursor} a sync and async iterator over the rows
+         */
+        iterate(params, {array = false} = {}) {
+            if (!this.stmt) {
+                throw new SqliteError("Statement closed", SQLITE_MISUSE);
+            }
+            if (params != null) {
+                this.bind(params);
+            }
+            return this.cursor(array ? "raw" : this.rowMode, () => {
+                if (this.stmt) {
+                    sqlite3_reset(this.stmt);
+                }
+            });
+        }
+
+        /** @private
+         @param {string} mode the row mode, see {@link Statement.rowReader}
+         @param {function():void} done what to do with the statement once the cursor is closed
+         @return {RowCursor}
+         */
+        cursor(mode, done) {
+            return new RowCursor(this, mode, done);
+        }
+
+        /** Stream the rows of the statement, see {@link Statement.iterate}
+         @param {Statement.BindParams} [params]
+         @param {{array:boolean}} [options]
+         @return {Readable} an object mode Readable of the rows
+         */
+        stream(params, options) {
+            return this.iterate(params, options).stream();
+        }
+
         /** Shorthand for bind + step + reset
          Bind the values, execute the statement, ignoring the rows it returns,
          and resets it
@@ -324,16 +762,18 @@ export default function (runtime) {
                 pos = this.pos;
                 this.pos += 1;
             }
-            const bytes = intArrayFromString(string);
-            const strptr = allocate(bytes, "i8", ALLOC_NORMAL);
-            this.allocatedmem.push(strptr);
-            this.db.handleError(sqlite3_bind_text(
-                this.stmt,
-                pos,
-                strptr,
-                bytes.length - 1,
-                0
-            ));
+            const [strptr, length] = writeString(string);
+            try {
+                this.handleError(sqlite3_bind_text(
+                    this.stmt,
+                    pos,
+                    strptr,
+                    length,
+                    SQLITE_TRANSIENT
+                ));
+            } finally {
+                free(strptr);
+            }
             return true;
         }
 
@@ -342,15 +782,32 @@ export default function (runtime) {
                 pos = this.pos;
                 this.pos += 1;
             }
-            const blobptr = allocate(array, "i8", ALLOC_NORMAL);
-            this.allocatedmem.push(blobptr);
-            this.db.handleError(sqlite3_bind_blob(
-                this.stmt,
-                pos,
-                blobptr,
-                array.length,
-                0
-            ));
+            const blobptr = writeBytes(array);
+            try {
+                this.handleError(sqlite3_bind_blob(
+                    this.stmt,
+                    pos,
+                    blobptr,
+                    array.length,
+                    SQLITE_TRANSIENT
+                ));
+            } finally {
+                free(blobptr);
+            }
+            return true;
+        }
+
+        /** Bind a BLOB of zeros, to reserve the space of a BLOB written later with {@link Database.openBlob}
+         @param {number} length the size of the BLOB in bytes
+         @param {number} [pos] the position of the parameter, the next one by default
+         @return {boolean}
+         */
+        bindZeroBlob(length, pos) {
+            if (pos == null) {
+                pos = this.pos;
+                this.pos += 1;
+            }
+            this.handleError(sqlite3_bind_zeroblob(this.stmt, pos, length));
             return true;
         }
 
@@ -359,12 +816,24 @@ export default function (runtime) {
                 pos = this.pos;
                 this.pos += 1;
             }
-            const bindfunc = (
-                num === (num | 0)
-                    ? sqlite3_bind_int
-                    : sqlite3_bind_double
-            );
-            this.db.handleError(bindfunc(this.stmt, pos, num));
+            if (num === (num | 0)) {
+                this.handleError(sqlite3_bind_int(this.stmt, pos, num));
+            } else if (Number.isSafeInteger(num)) {
+                // beyond 32 bits but still exact, keep it an INTEGER
+                return this.bindBigInt(BigInt(num), pos);
+            } else {
+                this.handleError(sqlite3_bind_double(this.stmt, pos, num));
+            }
+            return true;
+        }
+
+        bindBigInt(num, pos) {
+            if (pos == null) {
+                pos = this.pos;
+                this.pos += 1;
+            }
+            const [low, high] = splitInt64(num);
+            this.handleError(sqlite3_bind_int64(this.stmt, pos, low, high));
             return true;
         }
 
@@ -381,26 +850,39 @@ export default function (runtime) {
                 pos = this.pos;
                 this.pos += 1;
             }
+            if (this.db.types.binding) {
+                val = this.db.types.toSql(val);
+            }
             switch (typeof val) {
                 case "string":
                     return this.bindString(val, pos);
                 case "number":
                 case "boolean":
                     return this.bindNumber(val + 0, pos);
+                case "bigint":
+                    return this.bindBigInt(val, pos);
                 case "object":
                     if (val === null) {
                         return this.bindNull(pos);
                     }
-                    if (val.length != null) {
-                        return this.bindBlob(val, pos);
+                    if (ArrayBuffer.isView(val) || val.length != null) {
+                        return this.bindBlob(asBytes(val), pos);
                     }
                     break;
+                case "undefined":
+                    throw new SqliteError(
+                        `Wrong API use : tried to bind undefined to parameter ${this.parameterName(pos)}, use null for NULL.`,
+                        SQLITE_MISUSE,
+                        sqlite3_sql(this.stmt)
+                    );
                 default:
                     break;
             }
-            throw (
+            throw new SqliteError(
                 "Wrong API use : tried to bind a value of an unknown type ("
-                + val + ")."
+                + val + ").",
+                SQLITE_MISUSE,
+                sqlite3_sql(this.stmt)
             );
         }
 
@@ -411,22 +893,77 @@ export default function (runtime) {
          @nodoc
          */
         bindFromObject(valuesObj) {
-            const that = this;
-            Object.keys(valuesObj).forEach(function each(name) {
-                const num = sqlite3_bind_parameter_index(that.stmt, name);
-                if (num !== 0) {
-                    that.bindValue(valuesObj[name], num);
+            const bound = new Set();
+            Object.keys(valuesObj).forEach(name => {
+                const positions = this.parameterPositions(name);
+                if (positions.length === 0 && this.useStrictBinding) {
+                    throw new SqliteError(`Unknown parameter ${name}`, SQLITE_RANGE, sqlite3_sql(this.stmt));
                 }
+                positions.forEach(num => {
+                    this.bindValue(valuesObj[name], num);
+                    bound.add(num);
+                });
             });
+            if (this.useStrictBinding) {
+                const count = sqlite3_bind_parameter_count(this.stmt);
+                const missing = [];
+                for (let num = 1; num <= count; num += 1) {
+                    if (!bound.has(num)) missing.push(this.parameterName(num));
+                }
+                if (missing.length > 0) {
+                    throw new SqliteError(`Missing value for ${missing.join(", ")}`, SQLITE_RANGE, sqlite3_sql(this.stmt));
+                }
+            }
             return true;
         }
 
+        /** Find the positions of the parameters a name of bindFromObject refers to
+         @param {string} name a parameter name, with or without its prefix
+         @return {number[]} the positions, empty if there is no such parameter
+         @private
+         @nodoc
+         */
+        parameterPositions(name) {
+            if (/^[:@$?]/.test(name)) {
+                const num = sqlite3_bind_parameter_index(this.stmt, name);
+                return num !== 0 ? [num] : [];
+            }
+            return [":", "@", "$"]
+                .map(prefix => sqlite3_bind_parameter_index(this.stmt, prefix + name))
+                .filter(num => num !== 0);
+        }
+
+        /** The name of a parameter for the error messages, `?NNN` for the nameless ones
+         @param {number} num the position of the parameter
+         @return {string}
+         @private
+         @nodoc
+         */
+        parameterName(num) {
+            return readString(sqlite3_bind_parameter_name(this.stmt, num)) || `?${num}`;
+        }
+
         /** Bind values to numbered parameters
          @param {Database.SqlValue[]} values
          @private
          @nodoc
          */
         bindFromArray(values) {
+            if (this.useStrictBinding) {
+                const count = sqlite3_bind_parameter_count(this.stmt);
+                if (values.length > count) {
+                    throw new SqliteError(
+                        `Too many values: ${values.length} for ${count} parameters`,
+                        SQLITE_RANGE,
+                        sqlite3_sql(this.stmt)
+                    );
+                }
+                if (values.length < count) {
+                    const missing = [];
+                    for (let num = values.length + 1; num <= count; num += 1) missing.push(this.parameterName(num));
+                    throw new SqliteError(`Missing value for ${missing.join(", ")}`, SQLITE_RANGE, sqlite3_sql(this.stmt));
+                }
+            }
             let num = 0;
             while (num < values.length) {
                 this.bindValue(values[num], num + 1);
@@ -436,30 +973,27 @@ export default function (runtime) {
         }
 
         /** Reset a statement, so that it's parameters can be bound to new values
-         It also clears all previous bindings, freeing the memory used
-         by bound parameters.
+         It also clears all previous bindings.
          */
         reset() {
-            this.freemem();
             return (
                 sqlite3_clear_bindings(this.stmt) === SQLITE_OK
                 && sqlite3_reset(this.stmt) === SQLITE_OK
             );
         }
 
-        /** Free the memory allocated during parameter binding */
-        freemem() {
-            let mem;
-            while ((mem = this.allocatedmem.pop()) !== undefined) {
-                _free(mem);
-            }
+        /** Throw a {@link SqliteError} for a failed result code, with the SQL of the statement
+         @param {number} returnCode
+         @nodoc
+         */
+        handleError(returnCode) {
+            return this.db.handleError(returnCode, sqlite3_sql(this.stmt));
         }
 
         /** Free the memory used by the statement
          @return {boolean} true in case of success
          */
         free() {
-            this.freemem();
             const res = sqlite3_finalize(this.stmt) === SQLITE_OK;
             delete this.db.statements[this.stmt];
             this.stmt = NULL;
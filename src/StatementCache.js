@@ -0,0 +1,75 @@
+/**
+ * @classdesc
+ * A least recently used cache of prepared statements, keyed by their SQL text.
+ *
+ * Statements are checked out of the cache while in use, so the same statement is never
+ * handed out twice: a second checkout of the same SQL prepares a new one, and the spare
+ * statement is finalized when both are checked back in.
+ */
+export default class StatementCache {
+
+    /**
+     * @param {number} size the maximum number of idle statements kept, 0 disables the cache
+     */
+    constructor(size) {
+        this.size = size;
+        // Map iteration follows insertion order, so the first entry is the least recently used
+        this.statements = new Map();
+        /** @type {number} the number of checkouts served from the cache */
+        this.hits = 0;
+        /** @type {number} the number of checkouts that had to prepare a statement */
+        this.misses = 0;
+    }
+
+    /** The number of idle statements in the cache
+     @return {number}
+     */
+    get length() {
+        return this.statements.size;
+    }
+
+    /** Take the statement of an SQL text out of the cache, or prepare it
+     @param {string} sql
+     @param {function(string):Statement} prepare called on a cache miss
+     @return {Statement}
+     */
+    checkout(sql, prepare) {
+        const stmt = this.statements.get(sql);
+        if (stmt !== undefined) {
+            this.statements.delete(sql);
+            this.hits += 1;
+            return stmt;
+        }
+        this.misses += 1;
+        return prepare(sql);
+    }
+
+    /** Reset a statement and give it back to the cache, evicting the least recently used one if full
+     @param {string} sql
+     @param {Statement} stmt
+     */
+    checkin(sql, stmt) {
+        if (!stmt.stmt) {
+            return; // it has been freed in the meantime, e.g. by closing the database
+        }
+        if (this.size <= 0 || this.statements.has(sql)) {
+            stmt.free();
+            return;
+        }
+        stmt.reset();
+        this.statements.set(sql, stmt);
+        if (this.statements.size > this.size) {
+            const [lru, evicted] = this.statements.entries().next().value;
+            this.statements.delete(lru);
+            evicted.free();
+        }
+    }
+
+    /** Finalize all the idle statements */
+    flush() {
+        for (const stmt of this.statements.values()) {
+            stmt.free();
+        }
+        this.statements.clear();
+    }
+}
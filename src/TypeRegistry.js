@@ -0,0 +1,145 @@
+// The format of CURRENT_TIMESTAMP and of the sqlite date functions, in UTC
+const SQLITE_DATETIME = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+
+function parseDate(value) {
+    if (typeof value === "string" && SQLITE_DATETIME.test(value)) {
+        return new Date(`${value.replace(" ", "T")}Z`);
+    }
+    return new Date(typeof value === "bigint" ? Number(value) : value);
+}
+
+function isPlainObject(value) {
+    if (typeof value !== "object") {
+        return false;
+    }
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * @classdesc
+ * The conversions between JS values and the values sqlite stores, shared by the statements
+ * and the user functions of a {@link Database} (see `db.types`).
+ *
+ * Binders turn the JS values that sqlite doesn't know (e.g. Date) into one it does before they are bound,
+ * or returned by a user function. Readers turn the values read from a column into JS values according
+ * to the declared type of the column, e.g. `DATETIME` in `CREATE TABLE t (at DATETIME)`.
+ * NULL is never converted.
+ *
+ * @example
+ * db.types
+ *     .bind(Temporal.PlainDate, date => date.toString())
+ *     .read("PLAINDATE", text => Temporal.PlainDate.from(text));
+ */
+export default class TypeRegistry {
+
+    constructor() {
+        // [test, convert] pairs, the first one whose test matches the value is used
+        this.binders = [];
+        // convert functions, keyed by normalized declared type
+        this.readers = new Map();
+    }
+
+    /** The name a declared type is registered under: upper case and without its size, e.g. VARCHAR for varchar(20)
+     @param {string} declaredType
+     @return {string}
+     */
+    static normalize(declaredType) {
+        return declaredType.replace(/\(.*$/, "").trim().toUpperCase();
+    }
+
+    /** Convert the instances of a class before binding them
+     @param {Function} type the class, matched with instanceof
+     @param {function(*):Database.SqlValue} convert
+     @return {TypeRegistry} The registry (useful for method chaining)
+     */
+    bind(type, convert) {
+        return this.bindIf(value => value instanceof type, convert);
+    }
+
+    /** Convert the values matching a predicate before binding them
+     @param {function(*):boolean} test
+     @param {function(*):Database.SqlValue} convert
+     @return {TypeRegistry} The registry (useful for method chaining)
+     */
+    bindIf(test, convert) {
+        this.binders.push([test, convert]);
+        return this;
+    }
+
+    /** Convert the values read from the columns of some declared types
+     @param {string|string[]} declaredTypes e.g. "DATETIME", matched case insensitively and regardless of their size
+     @param {function(Database.SqlValue):*} convert
+     @return {TypeRegistry} The registry (useful for method chaining)
+     */
+    read(declaredTypes, convert) {
+        for (const declaredType of [].concat(declaredTypes)) {
+            this.readers.set(TypeRegistry.normalize(declaredType), convert);
+        }
+        return this;
+    }
+
+    /** Register the built-in conversions:
+     - Date is bound as an ISO 8601 string, or as milliseconds since the epoch with `dates: "epoch"`,
+     and DATE, DATETIME and TIMESTAMP columns are read as Date
+     - plain objects and Map are bound as JSON text, and JSON columns are parsed
+     - BOOLEAN columns are read as booleans
+     @param {Object} [options]
+     @param {string} [options.dates="iso"] "iso" or "epoch"
+     @return {TypeRegistry} The registry (useful for method chaining)
+     */
+    registerDefaults({dates = "iso"} = {}) {
+        if (dates !== "iso" && dates !== "epoch") {
+            throw new RangeError(`Unknown dates format ${dates}, expected "iso" or "epoch"`);
+        }
+        return this
+            .bind(Date, dates === "epoch" ? date => date.getTime() : date => date.toISOString())
+            .bind(Map, map => JSON.stringify(Object.fromEntries(map)))
+            .bindIf(isPlainObject, object => JSON.stringify(object))
+            .read(["DATE", "DATETIME", "TIMESTAMP"], parseDate)
+            .read("JSON", text => JSON.parse(text))
+            .read(["BOOLEAN", "BOOL"], value => !!Number(value));
+    }
+
+    /** Whether there are conversions to run before binding
+     @return {boolean}
+     */
+    get binding() {
+        return this.binders.length > 0;
+    }
+
+    /** Whether there are conversions to run after reading
+     @return {boolean}
+     */
+    get reading() {
+        return this.readers.size > 0;
+    }
+
+    /** Convert a value to bind
+     @param {*} value
+     @return {Database.SqlValue|*} the converted value, or the value itself if no binder matches
+     */
+    toSql(value) {
+        if (value != null) {
+            for (const [test, convert] of this.binders) {
+                if (test(value)) {
+                    return convert(value);
+                }
+            }
+        }
+        return value;
+    }
+
+    /** Convert a value read from a column or passed to a user function
+     @param {Database.SqlValue} value
+     @param {string|null} declaredType null for the values that don't come from a table column
+     @return {*} the converted value, or the value itself if no reader is registered for the type
+     */
+    fromSql(value, declaredType) {
+        if (value === null || !declaredType) {
+            return value;
+        }
+        const convert = this.readers.get(TypeRegistry.normalize(declaredType));
+        return convert ? convert(value) : value;
+    }
+}
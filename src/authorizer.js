@@ -0,0 +1,73 @@
+import * as sqlite3h from "../out/sqlite3.h.js";
+
+// The action codes sqlite passes to the authorizer
+const ACTION_NAMES = [
+    "SQLITE_CREATE_INDEX", "SQLITE_CREATE_TABLE", "SQLITE_CREATE_TEMP_INDEX", "SQLITE_CREATE_TEMP_TABLE",
+    "SQLITE_CREATE_TEMP_TRIGGER", "SQLITE_CREATE_TEMP_VIEW", "SQLITE_CREATE_TRIGGER", "SQLITE_CREATE_VIEW",
+    "SQLITE_DELETE", "SQLITE_DROP_INDEX", "SQLITE_DROP_TABLE", "SQLITE_DROP_TEMP_INDEX", "SQLITE_DROP_TEMP_TABLE",
+    "SQLITE_DROP_TEMP_TRIGGER", "SQLITE_DROP_TEMP_VIEW", "SQLITE_DROP_TRIGGER", "SQLITE_DROP_VIEW",
+    "SQLITE_INSERT", "SQLITE_PRAGMA", "SQLITE_READ", "SQLITE_SELECT", "SQLITE_TRANSACTION", "SQLITE_UPDATE",
+    "SQLITE_ATTACH", "SQLITE_DETACH", "SQLITE_ALTER_TABLE", "SQLITE_REINDEX", "SQLITE_ANALYZE",
+    "SQLITE_CREATE_VTABLE", "SQLITE_DROP_VTABLE", "SQLITE_FUNCTION", "SQLITE_SAVEPOINT", "SQLITE_RECURSIVE"
+];
+
+/**
+ * The action codes passed to an authorizer, keyed by their name in sqlite3.h, e.g. `AUTHORIZER_ACTIONS.SQLITE_ATTACH`
+ * @type {Object<string, number>}
+ */
+export const AUTHORIZER_ACTIONS = Object.freeze(
+    Object.fromEntries(ACTION_NAMES.map(name => [name, sqlite3h[name]]))
+);
+
+const {SQLITE_FUNCTION, SQLITE_PRAGMA, SQLITE_READ, SQLITE_RECURSIVE, SQLITE_SELECT} = AUTHORIZER_ACTIONS;
+
+// The pragmas that only describe the schema, whatever their argument
+const SCHEMA_PRAGMAS = [
+    "table_info", "table_xinfo", "table_list", "index_list", "index_info", "index_xinfo", "foreign_key_list"
+];
+
+/** An authorizer, for {@link Database.setAuthorizer}, that only lets queries through: SELECT, reading tables,
+ calling functions, recursive CTEs and the pragmas describing the schema. Everything else (writes, DDL, ATTACH,
+ transactions, the other pragmas...) is denied.
+ The allowlists narrow it further, the tables and columns are matched case insensitively.
+ @param {Object} [options]
+ @param {string[]} [options.tables] the tables that can be read, all of them by default
+ @param {Object<string, string[]>} [options.columns] the readable columns of some tables, keyed by table:
+ the other columns of these tables read as NULL
+ @param {string[]} [options.functions] the functions that can be called, all of them by default
+ @param {string[]} [options.pragmas] the pragmas that can be run, with any argument, the schema ones by default
+ @return {function(number, ?string, ?string, ?string, ?string):string}
+ @example
+ db.setAuthorizer(readOnlyAuthorizer({tables: ["users"], columns: {users: ["id", "name"]}}));
+ db.query("SELECT * FROM users"); // password reads as NULL
+ db.run("DELETE FROM users");     // throws SQLITE_AUTH
+ */
+export function readOnlyAuthorizer({tables, columns = {}, functions, pragmas = SCHEMA_PRAGMAS} = {}) {
+    const lower = names => names && new Set(names.map(name => name.toLowerCase()));
+    const readableTables = lower(tables);
+    const readableColumns = new Map(Object.entries(columns).map(([table, names]) => [table.toLowerCase(), lower(names)]));
+    const callableFunctions = lower(functions);
+    const readablePragmas = lower(pragmas);
+    return function authorize(action, arg1, arg2) {
+        switch (action) {
+            case SQLITE_SELECT:
+            case SQLITE_RECURSIVE:
+                return "ok";
+            case SQLITE_READ: {
+                const table = arg1.toLowerCase();
+                if (readableTables && !readableTables.has(table)) {
+                    return "deny";
+                }
+                const allowed = readableColumns.get(table);
+                // count(*) reads the table without naming a column
+                return !allowed || !arg2 || allowed.has(arg2.toLowerCase()) ? "ok" : "ignore";
+            }
+            case SQLITE_FUNCTION:
+                return !callableFunctions || callableFunctions.has(arg2.toLowerCase()) ? "ok" : "deny";
+            case SQLITE_PRAGMA:
+                return readablePragmas.has(arg1.toLowerCase()) ? "ok" : "deny";
+            default:
+                return "deny";
+        }
+    };
+}
@@ -0,0 +1,78 @@
+/*
+ * Bulk copies between JS values and the wasm heap.
+ *
+ * The heap views are looked up on the runtime at each call: with ALLOW_MEMORY_GROWTH the
+ * buffer is replaced when memory grows, and views taken before become detached.
+ */
+export default (runtime) => ({
+
+    /** Copy bytes out of the heap
+     @param {number} ptr
+     @param {number} size
+     @param {boolean} [asBuffer=false] return a Node.js Buffer instead of an Uint8Array
+     @return {Uint8Array|Buffer}
+     */
+    readBytes(ptr, size, asBuffer = false) {
+        const bytes = runtime.HEAPU8.subarray(ptr, ptr + size);
+        if (asBuffer) {
+            const buffer = Buffer.allocUnsafe(size);
+            buffer.set(bytes);
+            return buffer;
+        }
+        return bytes.slice();
+    },
+
+    /** Decode a nul terminated UTF-8 string of the heap
+     @param {number} ptr
+     @return {string|null} null for a null pointer
+     */
+    readString(ptr) {
+        return ptr === 0 ? null : runtime.UTF8ToString(ptr);
+    },
+
+    /** Allocate a block of the heap, to be released with free
+     @param {number} size in bytes
+     @return {number} the pointer to the block
+     */
+    alloc(size) {
+        return runtime._malloc(Math.max(size, 1));
+    },
+
+    /** View the memory of a typed array or a DataView as bytes, the other values are returned as they are
+     @param {ArrayBufferView|ArrayLike<number>} value
+     @return {Uint8Array|ArrayLike<number>}
+     */
+    asBytes(value) {
+        return ArrayBuffer.isView(value) && !(value instanceof Uint8Array)
+            ? new Uint8Array(value.buffer, value.byteOffset, value.byteLength)
+            : value;
+    },
+
+    /** Copy bytes into a newly allocated block of the heap, to be released with free
+     @param {ArrayLike<number>} bytes
+     @return {number} the pointer to the copy
+     */
+    writeBytes(bytes) {
+        const ptr = runtime._malloc(Math.max(bytes.length, 1));
+        runtime.HEAPU8.set(bytes, ptr);
+        return ptr;
+    },
+
+    /** Encode a string as nul terminated UTF-8 into a newly allocated block of the heap, to be released with free
+     @param {string} string
+     @return {number[]} the pointer to the text and its length in bytes, without the terminator
+     */
+    writeString(string) {
+        const length = runtime.lengthBytesUTF8(string);
+        const ptr = runtime._malloc(length + 1);
+        runtime.stringToUTF8(string, ptr, length + 1);
+        return [ptr, length];
+    },
+
+    /** Release a block allocated by writeBytes or writeString
+     @param {number} ptr
+     */
+    free(ptr) {
+        runtime._free(ptr);
+    }
+});
@@ -1,11 +1,23 @@
 import sqlite3Module from "../out/sqlite3";
 import createDatabase from "./Database.js";
 import createStatement from "./Statement.js";
+import createBlobHandle from "./BlobHandle.js";
+import createMounts from "./mounts.js";
+import SqliteError from "./SqliteError.js";
+import {AUTHORIZER_ACTIONS, readOnlyAuthorizer} from "./authorizer.js";
+import migrate from "./migrate.js";
 import wasmPath from "../out/sqlite3.wasm";
 
 import {join} from "path";
 
-export default () => new Promise((resolve, reject) => {
+/**
+ * Load the wasm module
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.mounts] host directories to mount in the virtual file system,
+ * keyed by mount point, e.g. {"/data": "/var/lib/app"}. The cwd is mounted at "/working" unless overridden.
+ * @return {Promise<{Database, Statement, BlobHandle, SqliteError, AUTHORIZER_ACTIONS, readOnlyAuthorizer, migrate}>}
+ */
+export default ({mounts} = {}) => new Promise((resolve, reject) => {
     const runtime = sqlite3Module({
         noInitialRun: true,
         locateFile(url) {
@@ -16,10 +28,16 @@ export default () => new Promise((resolve, reject) => {
         },
         onRuntimeInitialized() {
             const Statement = createStatement(runtime)
-            const Database = createDatabase(runtime, {Statement});
+            const BlobHandle = createBlobHandle(runtime);
+            const Database = createDatabase(runtime, {Statement, BlobHandle, mounts: createMounts(runtime, mounts)});
             resolve({
                 Statement,
-                Database
+                BlobHandle,
+                Database,
+                SqliteError,
+                AUTHORIZER_ACTIONS,
+                readOnlyAuthorizer,
+                migrate
             });
         }
     });
@@ -0,0 +1,46 @@
+/*
+ * Helpers to move 64-bit integers across the wasm boundary.
+ *
+ * The module is built without WASM_BIGINT, so Emscripten legalizes every i64 parameter of an
+ * exported function into two i32 parameters: the low word followed by the high word.
+ */
+
+const BITS_32 = BigInt(32);
+
+/** Split a BigInt into the [low, high] 32-bit words expected by a legalized i64 parameter.
+ @param {bigint} value
+ @return {number[]} the low and high words
+ @throws {RangeError} if the value does not fit a signed 64-bit integer
+ */
+export function splitInt64(value) {
+    if (BigInt.asIntN(64, value) !== value) {
+        throw new RangeError(`The value ${value} does not fit a 64-bit signed integer`);
+    }
+    return [
+        Number(BigInt.asIntN(32, value)),
+        Number(BigInt.asIntN(32, value >> BITS_32))
+    ];
+}
+
+/** Join the [low, high] 32-bit words of a legalized i64 value, e.g. a callback parameter.
+ @param {number} low
+ @param {number} high
+ @return {bigint}
+ */
+export function joinInt64(low, high) {
+    return BigInt.asIntN(64, (BigInt(high) << BITS_32) | BigInt(low >>> 0));
+}
+
+/** Make sure an INTEGER read as a double has not been rounded.
+ @param {number} value
+ @return {number} the same value
+ @throws {RangeError} if the value is outside of the safe integer range
+ */
+export function checkSafeInteger(value) {
+    if (!Number.isSafeInteger(value)) {
+        throw new RangeError(
+            "The integer is too large to be represented as a JavaScript number, use safeIntegers to read it as a BigInt"
+        );
+    }
+    return value;
+}
@@ -0,0 +1,132 @@
+import {createHash} from "crypto";
+import {readdirSync, readFileSync} from "fs";
+import {join} from "path";
+
+// The line separating the up and the down SQL of a migration file
+const DOWN_SEPARATOR = /^--\s*down\s*$/im;
+
+/**
+ * @typedef {Object} Migration
+ * @property {string} id unique, the migrations are applied in the order of the list and not sorted by id
+ * @property {string|function(Database)} up the SQL, or a function receiving the database
+ * @property {string|function(Database)} [down] the same to revert it, the migration can't be reverted without it
+ */
+
+/** Read the migrations of a directory: the `.sql` files sorted by name, the id being the name without extension.
+ The SQL after a `-- down` line reverts the migration.
+ @param {string} dir a host path, relative to the cwd unless absolute
+ @return {Migration[]}
+ */
+function readMigrations(dir) {
+    return readdirSync(dir).filter(file => file.endsWith(".sql")).sort().map(file => {
+        const [up, down] = readFileSync(join(dir, file), "utf8").split(DOWN_SEPARATOR);
+        return {id: file.slice(0, -".sql".length), up, down: down && down.trim() ? down : undefined};
+    });
+}
+
+function checksum({up}) {
+    return createHash("sha256").update(typeof up === "function" ? up.toString() : up).digest("hex");
+}
+
+function runStep(db, step) {
+    if (typeof step === "function") {
+        step(db);
+    } else {
+        db.run(step);
+    }
+}
+
+/** Bring a database to a version of its schema, the version being the number of migrations applied.
+ The applied migrations are recorded, with the checksum of their `up`, in a table (`_migrations` by default),
+ and the version in `PRAGMA user_version`. Each migration runs in its own transaction with the update of the table,
+ so a failure leaves the database at the last version reached.
+ @example
+ migrate(db, [
+     {id: "users", up: "CREATE TABLE users (id INTEGER PRIMARY KEY)", down: "DROP TABLE users"},
+     {id: "names", up: "ALTER TABLE users ADD name TEXT"}
+ ]);
+ migrate(db, "./migrations", {to: 1}); // reverts down to the first migration
+ @param {Database} db
+ @param {Migration[]|string} migrations the ordered list, or a directory of `.sql` files: they are sorted by name,
+ their id is the name without extension, and the SQL after a `-- down` line reverts them
+ @param {Object} [options]
+ @param {number} [options.to] the target version, all the migrations by default, 0 reverts them all
+ @param {boolean} [options.dryRun=false] only log the plan, to the console unless `log` is given
+ @param {string} [options.table="_migrations"] the table recording the applied migrations
+ @param {function(string)} [options.log] where the plan and the steps are logged, nowhere by default
+ (the console for a dry run)
+ @return {{from: number, to: number, steps: Array<{id: string, direction: string}>}} the plan,
+ direction being "up" or "down"
+ @throws {Error} when an applied migration is missing or was modified, or a migration to revert has no down
+ */
+export default function migrate(db, migrations, {to, dryRun = false, table = "_migrations", log} = {}) {
+    if (!log) {
+        log = dryRun ? console.log : () => {};
+    }
+    if (typeof migrations === "string") {
+        migrations = readMigrations(migrations);
+    }
+    const ids = new Set();
+    for (const {id} of migrations) {
+        if (ids.has(id)) {
+            throw new Error(`Duplicate migration ${id}`);
+        }
+        ids.add(id);
+    }
+    if (to === undefined) {
+        to = migrations.length;
+    }
+    if (!Number.isInteger(to) || to < 0 || to > migrations.length) {
+        throw new RangeError(`Version ${to} out of range, there are ${migrations.length} migrations`);
+    }
+
+    const name = `"${table.replace(/"/g, '""')}"`;
+    // a dry run doesn't write anything, not even the table
+    if (!dryRun) {
+        db.run(`CREATE TABLE IF NOT EXISTS ${name} (version INTEGER PRIMARY KEY, id TEXT NOT NULL, checksum TEXT NOT NULL, applied_at TEXT NOT NULL)`);
+    }
+    const exists = db.get("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+    const applied = exists ? db.query(`SELECT version, id, checksum FROM ${name} ORDER BY version`) : [];
+    applied.forEach(({id, checksum: recorded}, index) => {
+        const migration = migrations[index];
+        if (!migration || migration.id !== id) {
+            throw new Error(`Migration ${id} was applied as version ${index + 1}, `
+                + `the migration at that position is ${migration ? migration.id : "missing"}`);
+        }
+        if (checksum(migration) !== recorded) {
+            throw new Error(`Migration ${id} was modified after it was applied`);
+        }
+    });
+
+    const from = applied.length;
+    const direction = from <= to ? "up" : "down";
+    const steps = from <= to ? migrations.slice(from, to) : migrations.slice(to, from).reverse();
+    for (const {id, down} of steps) {
+        if (direction === "down" && !down) {
+            throw new Error(`Migration ${id} can't be reverted, it has no down`);
+        }
+    }
+    const prefix = dryRun ? "[dry run] " : "";
+    log(`${prefix}migrating from version ${from} to ${to}${steps.length ? "" : ", nothing to do"}`);
+
+    let version = from;
+    for (const migration of steps) {
+        log(`${prefix}${direction} ${migration.id}`);
+        if (dryRun) {
+            continue;
+        }
+        db.transaction(() => {
+            if (direction === "up") {
+                runStep(db, migration.up);
+                version += 1;
+                db.run(`INSERT INTO ${name} VALUES (?, ?, ?, datetime('now'))`, [version, migration.id, checksum(migration)]);
+            } else {
+                runStep(db, migration.down);
+                db.run(`DELETE FROM ${name} WHERE version = ?`, [version]);
+                version -= 1;
+            }
+            db.run(`PRAGMA user_version = ${version}`);
+        }).immediate();
+    }
+    return {from, to, steps: steps.map(({id}) => ({id, direction}))};
+}
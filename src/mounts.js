@@ -0,0 +1,95 @@
+import {dirname, isAbsolute, join, relative, resolve, sep} from "path";
+
+/*
+ * Maps the host directories holding the database files into the Emscripten virtual file system.
+ *
+ * Host directories are mounted with NODEFS only while a database uses them: mounting is reference counted
+ * and the last release unmounts. The configured mount points are used first for the paths they contain,
+ * any other directory gets a mount point of its own under /mnt.
+ */
+export default function (runtime, config = {}) {
+
+    const {FS, NODEFS} = runtime;
+
+    // The cwd is mounted at /working unless configured otherwise, that is where dbfile lives.
+    // The most specific mount wins, so they are sorted by decreasing length of their root
+    const configured = Object.entries({"/working": ".", ...config}).map(([mountPoint, root]) => ({
+        mountPoint,
+        root: resolve(root)
+    })).sort((a, b) => b.root.length - a.root.length);
+
+    // The active mounts, keyed by mount point
+    const mounted = new Map();
+    let lastMountId = 0;
+
+    function contains(root, hostPath) {
+        const path = relative(root, hostPath);
+        return path === "" || !(path === ".." || path.startsWith(`..${sep}`) || isAbsolute(path));
+    }
+
+    function mount(mountPoint, root) {
+        let entry = mounted.get(mountPoint);
+        if (!entry) {
+            FS.mkdirTree(mountPoint);
+            FS.mount(NODEFS, {root}, mountPoint);
+            mounted.set(mountPoint, entry = {root, refs: 0});
+        }
+        entry.refs += 1;
+    }
+
+    function unmount(mountPoint) {
+        const entry = mounted.get(mountPoint);
+        entry.refs -= 1;
+        if (entry.refs === 0) {
+            mounted.delete(mountPoint);
+            FS.unmount(mountPoint);
+            FS.rmdir(mountPoint);
+        }
+    }
+
+    /** Find or create the mount point of the directory of a host file and mount it.
+     @param {string} hostPath the path of a file on the host, relative ones are resolved against the cwd
+     @return {{path:string, filename:string, release:function():void}} the absolute host path, the path of the file
+     in the virtual file system and the function to call once it's not used anymore
+     */
+    function open(hostPath) {
+        const file = resolve(hostPath);
+        const dir = dirname(file);
+        let match = configured.find(({root}) => contains(root, dir));
+        if (!match) {
+            for (const [mountPoint, {root}] of mounted) {
+                if (contains(root, dir)) {
+                    match = {mountPoint, root};
+                    break;
+                }
+            }
+        }
+        if (!match) {
+            match = {mountPoint: `/mnt/${lastMountId++}`, root: dir};
+        }
+        const {mountPoint, root} = match;
+        mount(mountPoint, root);
+        let released = false;
+        return {
+            path: file,
+            filename: [mountPoint, ...relative(root, file).split(sep)].join("/"),
+            release() {
+                if (!released) {
+                    released = true;
+                    unmount(mountPoint);
+                }
+            }
+        };
+    }
+
+    /** Same as open but for a path relative to the working directory mount (the legacy dbfile option)
+     @param {string} dbfile
+     @return {{path:string, filename:string, release:function():void}}
+     */
+    function openWorking(dbfile) {
+        const {root} = configured.find(({mountPoint}) => mountPoint === "/working");
+        return open(join(root, dbfile));
+    }
+
+    return {open, openWorking};
+}
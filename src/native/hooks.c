@@ -0,0 +1,19 @@
+/*
+ * Trampolines for the sqlite callbacks taking 64-bit integers.
+ *
+ * The module is built without WASM_BIGINT, so a JS function added to the wasm table can't take
+ * an i64 parameter: these callbacks receive it from sqlite and pass it on as two 32-bit words,
+ * the low word followed by the high word, as Emscripten does for the exported functions.
+ */
+#include "sqlite3.h"
+
+typedef void (*update_hook_words_callback)(int op, const char *zDb, const char *zTable, int rowidLow, int rowidHigh);
+
+static void update_hook_words(void *callback, int op, const char *zDb, const char *zTable, sqlite3_int64 rowid) {
+    ((update_hook_words_callback) callback)(op, zDb, zTable, (int) (rowid & 0xffffffff), (int) (rowid >> 32));
+}
+
+/* Same as sqlite3_update_hook, with the rowid split in two words. A NULL callback removes the hook. */
+void *sqlite3_update_hook_words(sqlite3 *db, update_hook_words_callback callback) {
+    return sqlite3_update_hook(db, callback ? update_hook_words : 0, (void *) callback);
+}
@@ -0,0 +1,110 @@
+// The generated columns are reported as hidden by table_xinfo, with these values
+const GENERATED = {2: "virtual", 3: "stored"};
+
+// The pragmas return integers, as BigInt when the database reads them so
+const flag = value => Number(value) === 1;
+
+/**
+ * @typedef {Object} Database.ColumnSchema
+ * @property {string} name
+ * @property {string} type the declared type, "" when there is none
+ * @property {boolean} notNull
+ * @property {string|null} default the SQL text of the default value
+ * @property {number} primaryKey the position of the column in the primary key, 0 if it isn't part of it
+ * @property {boolean} hidden whether it's a hidden column of a virtual table
+ * @property {string|null} generated "virtual" or "stored" for the generated columns
+ */
+
+/**
+ * @typedef {Object} Database.Schema
+ * @property {Array<{name: string, virtual: boolean, columns: Database.ColumnSchema[], foreignKeys: Object[],
+ * indexes: Object[], sql: string}>} tables
+ * @property {Array<{name: string, columns: Database.ColumnSchema[], sql: string}>} views
+ * @property {Array<{name: string, table: string, sql: string}>} triggers
+ */
+
+function describeColumns(db, table, schema) {
+    return db.query("SELECT * FROM pragma_table_xinfo(?, ?) ORDER BY cid", [table, schema]).map(column => ({
+        name: column.name,
+        type: column.type,
+        notNull: flag(column.notnull),
+        default: column.dflt_value,
+        primaryKey: Number(column.pk),
+        hidden: flag(column.hidden),
+        generated: GENERATED[Number(column.hidden)] || null
+    }));
+}
+
+function describeForeignKeys(db, table, schema) {
+    const foreignKeys = new Map();
+    for (const reference of db.query("SELECT * FROM pragma_foreign_key_list(?, ?) ORDER BY id, seq", [table, schema])) {
+        if (!foreignKeys.has(reference.id)) {
+            foreignKeys.set(reference.id, {
+                table: reference.table,
+                from: [],
+                to: [],
+                onUpdate: reference.on_update,
+                onDelete: reference.on_delete,
+                match: reference.match
+            });
+        }
+        const foreignKey = foreignKeys.get(reference.id);
+        foreignKey.from.push(reference.from);
+        // null when the foreign key references the primary key implicitly
+        foreignKey.to.push(reference.to);
+    }
+    return [...foreignKeys.values()];
+}
+
+function describeIndexes(db, table, schema, sql) {
+    return db.query("SELECT * FROM pragma_index_list(?, ?) ORDER BY name", [table, schema]).map(index => ({
+        name: index.name,
+        unique: flag(index.unique),
+        // "c" for CREATE INDEX, "u" for a UNIQUE constraint, "pk" for the PRIMARY KEY
+        origin: index.origin,
+        partial: flag(index.partial),
+        columns: db.query("SELECT * FROM pragma_index_xinfo(?, ?) WHERE key ORDER BY seqno", [index.name, schema])
+            .map(column => ({
+                // null for an expression
+                name: column.name,
+                descending: flag(column.desc),
+                collation: column.coll
+            })),
+        // null for the indexes sqlite creates for the constraints
+        sql: sql.get(index.name) || null
+    }));
+}
+
+/** Describe the tables, views and triggers of a schema, the internal sqlite_ tables excepted.
+ Everything is sorted by name (the columns by position), so the JSON of two versions of a schema can be diffed.
+ @param {Database} db
+ @param {string} [schema="main"] the name of the schema, e.g. "temp" or an attached database
+ @return {Database.Schema}
+ */
+export default function describeSchema(db, schema = "main") {
+    const objects = db.query(
+        `SELECT type, name, tbl_name, sql FROM "${schema.replace(/"/g, '""')}".sqlite_master ORDER BY name`
+    );
+    const sql = new Map(objects.map(object => [object.name, object.sql]));
+    const isInternal = object => object.name.startsWith("sqlite_");
+    return {
+        tables: objects.filter(object => object.type === "table" && !isInternal(object)).map(table => ({
+            name: table.name,
+            virtual: /^CREATE\s+VIRTUAL\s/i.test(table.sql),
+            columns: describeColumns(db, table.name, schema),
+            foreignKeys: describeForeignKeys(db, table.name, schema),
+            indexes: describeIndexes(db, table.name, schema, sql),
+            sql: table.sql
+        })),
+        views: objects.filter(object => object.type === "view").map(view => ({
+            name: view.name,
+            columns: describeColumns(db, view.name, schema),
+            sql: view.sql
+        })),
+        triggers: objects.filter(object => object.type === "trigger").map(trigger => ({
+            name: trigger.name,
+            table: trigger.tbl_name,
+            sql: trigger.sql
+        }))
+    };
+}
@@ -1,17 +1,31 @@
 export default ({cwrap}) => ({
     sqlite3_open: cwrap("sqlite3_open", "number", ["string", "number"]),
+    sqlite3_open_v2: cwrap("sqlite3_open_v2", "number", ["string", "number", "number", "string"]),
+    sqlite3_db_readonly: cwrap("sqlite3_db_readonly", "number", ["number", "string"]),
     sqlite3_close_v2: cwrap("sqlite3_close_v2", "number", ["number"]),
     sqlite3_exec: cwrap("sqlite3_exec", "number", ["number", "string", "number", "number", "number"]),
     sqlite3_changes: cwrap("sqlite3_changes", "number", ["number"]),
+    sqlite3_get_autocommit: cwrap("sqlite3_get_autocommit", "number", ["number"]),
     sqlite3_prepare_v2: cwrap("sqlite3_prepare_v2", "number", ["number", "string", "number", "number", "number"]),
     sqlite3_prepare_v2_sqlptr: cwrap("sqlite3_prepare_v2", "number", ["number", "number", "number", "number", "number"]),
     sqlite3_bind_text: cwrap("sqlite3_bind_text", "number", ["number", "number", "number", "number", "number"]),
     sqlite3_bind_blob: cwrap("sqlite3_bind_blob", "number", ["number", "number", "number", "number", "number"]),
     sqlite3_bind_double: cwrap("sqlite3_bind_double", "number", ["number", "number", "number"]),
     sqlite3_bind_int: cwrap("sqlite3_bind_int", "number", ["number", "number", "number"]),
+    // the sqlite3_int64 argument is legalized into its low and high 32-bit words (see integers.js)
+    sqlite3_bind_int64: cwrap("sqlite3_bind_int64", "number", ["number", "number", "number", "number"]),
+    sqlite3_bind_zeroblob: cwrap("sqlite3_bind_zeroblob", "number", ["number", "number", "number"]),
+    sqlite3_bind_parameter_count: cwrap("sqlite3_bind_parameter_count", "number", ["number"]),
+    // the names and declared types below can be null, they are read as pointers (see heap.js)
+    sqlite3_bind_parameter_name: cwrap("sqlite3_bind_parameter_name", "number", ["number", "number"]),
     sqlite3_bind_parameter_index: cwrap("sqlite3_bind_parameter_index", "number", ["number", "string"]),
     sqlite3_step: cwrap("sqlite3_step", "number", ["number"]),
     sqlite3_errmsg: cwrap("sqlite3_errmsg", "string", ["number"]),
+    sqlite3_extended_errcode: cwrap("sqlite3_extended_errcode", "number", ["number"]),
+    sqlite3_extended_result_codes: cwrap("sqlite3_extended_result_codes", "number", ["number", "number"]),
+    sqlite3_sql: cwrap("sqlite3_sql", "string", ["number"]),
+    sqlite3_expanded_sql: cwrap("sqlite3_expanded_sql", "number", ["number"]),
+    sqlite3_stmt_readonly: cwrap("sqlite3_stmt_readonly", "number", ["number"]),
     sqlite3_data_count: cwrap("sqlite3_data_count", "number", ["number"]),
     sqlite3_column_double: cwrap("sqlite3_column_double", "number", ["number", "number"]),
     sqlite3_column_text: cwrap("sqlite3_column_text", "string", ["number", "number"]),
@@ -19,10 +33,17 @@ export default ({cwrap}) => ({
     sqlite3_column_bytes: cwrap("sqlite3_column_bytes", "number", ["number", "number"]),
     sqlite3_column_type: cwrap("sqlite3_column_type", "number", ["number", "number"]),
     sqlite3_column_name: cwrap("sqlite3_column_name", "string", ["number", "number"]),
+    sqlite3_column_count: cwrap("sqlite3_column_count", "number", ["number"]),
+    sqlite3_column_decltype: cwrap("sqlite3_column_decltype", "number", ["number", "number"]),
+    sqlite3_column_database_name: cwrap("sqlite3_column_database_name", "number", ["number", "number"]),
+    sqlite3_column_table_name: cwrap("sqlite3_column_table_name", "number", ["number", "number"]),
+    sqlite3_column_origin_name: cwrap("sqlite3_column_origin_name", "number", ["number", "number"]),
     sqlite3_reset: cwrap("sqlite3_reset", "number", ["number"]),
     sqlite3_clear_bindings: cwrap("sqlite3_clear_bindings", "number", ["number"]),
     sqlite3_finalize: cwrap("sqlite3_finalize", "number", ["number"]),
     sqlite3_create_function_v2: cwrap("sqlite3_create_function_v2", "number", ["number", "string", "number", "number", "number", "number", "number", "number", "number"]),
+    sqlite3_create_window_function: cwrap("sqlite3_create_window_function", "number", ["number", "string", "number", "number", "number", "number", "number", "number", "number", "number"]),
+    sqlite3_aggregate_context: cwrap("sqlite3_aggregate_context", "number", ["number", "number"]),
     sqlite3_value_type: cwrap("sqlite3_value_type", "number", ["number"]),
     sqlite3_value_bytes: cwrap("sqlite3_value_bytes", "number", ["number"]),
     sqlite3_value_text: cwrap("sqlite3_value_text", "string", ["number"]),
@@ -30,9 +51,39 @@ export default ({cwrap}) => ({
     sqlite3_value_double: cwrap("sqlite3_value_double", "number", ["number"]),
     sqlite3_result_double: cwrap("sqlite3_result_double", "", ["number", "number"]),
     sqlite3_result_null: cwrap("sqlite3_result_null", "", ["number"]),
-    sqlite3_result_text: cwrap("sqlite3_result_text", "", ["number", "string", "number", "number"]),
+    sqlite3_result_text: cwrap("sqlite3_result_text", "", ["number", "number", "number", "number"]),
     sqlite3_result_blob: cwrap("sqlite3_result_blob", "", ["number", "number", "number", "number"]),
     sqlite3_result_int: cwrap("sqlite3_result_int", "", ["number", "number"]),
+    sqlite3_result_int64: cwrap("sqlite3_result_int64", "", ["number", "number", "number"]),
     sqlite3_result_error: cwrap("sqlite3_result_error", "", ["number", "string", "number"]),
+    sqlite3_backup_init: cwrap("sqlite3_backup_init", "number", ["number", "string", "number", "string"]),
+    sqlite3_backup_step: cwrap("sqlite3_backup_step", "number", ["number", "number"]),
+    sqlite3_backup_finish: cwrap("sqlite3_backup_finish", "number", ["number"]),
+    sqlite3_backup_remaining: cwrap("sqlite3_backup_remaining", "number", ["number"]),
+    sqlite3_backup_pagecount: cwrap("sqlite3_backup_pagecount", "number", ["number"]),
+    sqlite3_serialize: cwrap("sqlite3_serialize", "number", ["number", "string", "number", "number"]),
+    // the two sqlite3_int64 sizes are legalized into their low and high 32-bit words (see integers.js)
+    sqlite3_deserialize: cwrap("sqlite3_deserialize", "number", ["number", "string", "number", "number", "number", "number", "number", "number"]),
+    // the sqlite3_int64 rowid is legalized into its low and high 32-bit words (see integers.js)
+    sqlite3_blob_open: cwrap("sqlite3_blob_open", "number", ["number", "string", "string", "string", "number", "number", "number", "number"]),
+    sqlite3_blob_reopen: cwrap("sqlite3_blob_reopen", "number", ["number", "number", "number"]),
+    sqlite3_blob_read: cwrap("sqlite3_blob_read", "number", ["number", "number", "number", "number"]),
+    sqlite3_blob_write: cwrap("sqlite3_blob_write", "number", ["number", "number", "number", "number"]),
+    sqlite3_blob_bytes: cwrap("sqlite3_blob_bytes", "number", ["number"]),
+    sqlite3_blob_close: cwrap("sqlite3_blob_close", "number", ["number"]),
+    sqlite3_create_module_v2: cwrap("sqlite3_create_module_v2", "number", ["number", "string", "number", "number", "number"]),
+    sqlite3_declare_vtab: cwrap("sqlite3_declare_vtab", "number", ["number", "string"]),
+    sqlite3_busy_timeout: cwrap("sqlite3_busy_timeout", "number", ["number", "number"]),
+    sqlite3_busy_handler: cwrap("sqlite3_busy_handler", "number", ["number", "number", "number"]),
+    sqlite3_set_authorizer: cwrap("sqlite3_set_authorizer", "number", ["number", "number", "number"]),
+    // sqlite3_update_hook with the rowid passed to the callback as two 32-bit words, see hooks.c
+    sqlite3_update_hook_words: cwrap("sqlite3_update_hook_words", "number", ["number", "number"]),
+    sqlite3_commit_hook: cwrap("sqlite3_commit_hook", "number", ["number", "number", "number"]),
+    sqlite3_rollback_hook: cwrap("sqlite3_rollback_hook", "number", ["number", "number", "number"]),
+    sqlite3_wal_hook: cwrap("sqlite3_wal_hook", "number", ["number", "number", "number"]),
+    sqlite3_wal_autocheckpoint: cwrap("sqlite3_wal_autocheckpoint", "number", ["number", "number"]),
+    sqlite3_wal_checkpoint: cwrap("sqlite3_wal_checkpoint", "number", ["number", "string"]),
+    sqlite3_malloc: cwrap("sqlite3_malloc", "number", ["number"]),
+    sqlite3_free: cwrap("sqlite3_free", "", ["number"]),
     registerExtensionFunctions: cwrap("RegisterExtensionFunctions", "number", ["number"])
 });
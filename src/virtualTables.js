@@ -0,0 +1,406 @@
+import {
+    SQLITE_ERROR,
+    SQLITE_INDEX_CONSTRAINT_EQ,
+    SQLITE_INDEX_CONSTRAINT_GE,
+    SQLITE_INDEX_CONSTRAINT_GLOB,
+    SQLITE_INDEX_CONSTRAINT_GT,
+    SQLITE_INDEX_CONSTRAINT_IS,
+    SQLITE_INDEX_CONSTRAINT_ISNOT,
+    SQLITE_INDEX_CONSTRAINT_ISNOTNULL,
+    SQLITE_INDEX_CONSTRAINT_ISNULL,
+    SQLITE_INDEX_CONSTRAINT_LE,
+    SQLITE_INDEX_CONSTRAINT_LIKE,
+    SQLITE_INDEX_CONSTRAINT_LT,
+    SQLITE_INDEX_CONSTRAINT_MATCH,
+    SQLITE_INDEX_CONSTRAINT_NE,
+    SQLITE_INDEX_CONSTRAINT_REGEXP,
+    SQLITE_MISUSE,
+    SQLITE_OK
+} from "../out/sqlite3.h.js"
+
+import sqlite3api from "./sqlite3-api.js";
+import SqliteError from "./SqliteError.js";
+import {splitInt64} from "./integers.js";
+import heap from "./heap.js";
+
+/*
+ * Virtual table modules implemented in JS.
+ *
+ * The sqlite3_module struct is allocated in the heap for the lifetime of the connection and its methods
+ * are wasm table entries made with addFunction, like the user functions. The JS objects of the tables and
+ * of the cursors are kept in maps keyed by the address of the sqlite3_vtab / sqlite3_vtab_cursor struct
+ * allocated for them, the structs themselves only hold what sqlite needs.
+ */
+export default function (runtime, {extractArgs, setResult}) {
+
+    const NULL = 0; // Null pointer
+
+    const {addFunction, getValue, setValue} = runtime;
+    const {alloc, free, readString} = heap(runtime);
+
+    const {
+        sqlite3_declare_vtab,
+        sqlite3_malloc,
+        sqlite3_free
+    } = sqlite3api(runtime);
+
+    // sizeof(sqlite3_module) up to xShadowName, sizeof(sqlite3_vtab) and sizeof(sqlite3_vtab_cursor) on wasm32
+    const SIZEOF_MODULE = 96;
+    const SIZEOF_VTAB = 12;
+    const SIZEOF_VTAB_CURSOR = 4;
+
+    const OPERATORS = new Map([
+        [SQLITE_INDEX_CONSTRAINT_EQ, "="],
+        [SQLITE_INDEX_CONSTRAINT_GT, ">"],
+        [SQLITE_INDEX_CONSTRAINT_LE, "<="],
+        [SQLITE_INDEX_CONSTRAINT_LT, "<"],
+        [SQLITE_INDEX_CONSTRAINT_GE, ">="],
+        [SQLITE_INDEX_CONSTRAINT_MATCH, "MATCH"],
+        [SQLITE_INDEX_CONSTRAINT_LIKE, "LIKE"],
+        [SQLITE_INDEX_CONSTRAINT_GLOB, "GLOB"],
+        [SQLITE_INDEX_CONSTRAINT_REGEXP, "REGEXP"],
+        [SQLITE_INDEX_CONSTRAINT_NE, "!="],
+        [SQLITE_INDEX_CONSTRAINT_ISNOT, "IS NOT"],
+        [SQLITE_INDEX_CONSTRAINT_ISNOTNULL, "IS NOT NULL"],
+        [SQLITE_INDEX_CONSTRAINT_ISNULL, "IS NULL"],
+        [SQLITE_INDEX_CONSTRAINT_IS, "IS"]
+    ]);
+
+    /** Copy a string into memory from sqlite3_malloc, for the error messages sqlite frees itself */
+    function sqliteString(string) {
+        const length = runtime.lengthBytesUTF8(string);
+        const ptr = sqlite3_malloc(length + 1);
+        runtime.stringToUTF8(string, ptr, length + 1);
+        return ptr;
+    }
+
+    function zeroed(size) {
+        const ptr = sqlite3_malloc(size);
+        runtime.HEAPU8.fill(0, ptr, ptr + size);
+        return ptr;
+    }
+
+    function errorCode(error) {
+        return error instanceof SqliteError ? error.extendedCode : SQLITE_ERROR;
+    }
+
+    function writeInt64(ptr, value) {
+        const [low, high] = splitInt64(BigInt(value));
+        setValue(ptr, low, "i32");
+        setValue(ptr + 4, high, "i32");
+    }
+
+    function quote(identifier) {
+        return `"${identifier.replace(/"/g, "\"\"")}"`;
+    }
+
+    /** Allocate the sqlite3_module struct of a module definition
+     @param {Database} db
+     @param {Object} definition see {@link Database#createModule}
+     @return {{struct:number, pointers:number[]}} the struct, and the wasm table entries to remove once the connection is closed
+     */
+    function createModule(db, definition) {
+        const {create, connect = create, bestIndex, disconnect, destroy = disconnect, open, close} = definition;
+        const {filter, next, eof, column, rowid, update} = definition;
+        for (const [name, method] of Object.entries({connect, bestIndex, filter, next, eof, column, rowid})) {
+            if (typeof method !== "function") {
+                throw new SqliteError(`A virtual table module requires a ${name} function`, SQLITE_MISUSE);
+            }
+        }
+
+        // The JS objects of the tables and of the cursors, keyed by the address of their struct
+        const tables = new Map();
+        const cursors = new Map();
+
+        function fail(vtab, error) {
+            const previous = getValue(vtab + 8, "i32"); // zErrMsg
+            if (previous !== NULL) {
+                sqlite3_free(previous);
+            }
+            setValue(vtab + 8, sqliteString(error.message || String(error)), "i32");
+            return errorCode(error);
+        }
+
+        // int xCreate(sqlite3*, void *pAux, int argc, const char *const*argv, sqlite3_vtab **ppVTab, char **pzErr)
+        function constructor(init) {
+            return function (pDb, pAux, argc, argv, ppVTab, pzErr) {
+                try {
+                    const strings = [];
+                    for (let i = 0; i < argc; i += 1) {
+                        strings.push(readString(getValue(argv + (4 * i), "i32")));
+                    }
+                    const [module, database, table, ...args] = strings;
+                    const instance = init.call(definition, {module, database, table, args});
+                    if (instance == null || typeof instance.schema !== "string") {
+                        throw new SqliteError(`${module}: create and connect must return a table with a schema`, SQLITE_MISUSE);
+                    }
+                    db.handleError(sqlite3_declare_vtab(pDb, instance.schema), instance.schema);
+                    const vtab = zeroed(SIZEOF_VTAB);
+                    tables.set(vtab, instance);
+                    setValue(ppVTab, vtab, "i32");
+                    return SQLITE_OK;
+                } catch (error) {
+                    setValue(pzErr, sqliteString(error.message || String(error)), "i32");
+                    return errorCode(error);
+                }
+            };
+        }
+
+        // int xDisconnect(sqlite3_vtab*) and int xDestroy(sqlite3_vtab*)
+        function destructor(done) {
+            return function (vtab) {
+                const table = tables.get(vtab);
+                try {
+                    if (typeof done === "function") {
+                        done.call(definition, table);
+                    }
+                } catch (error) {
+                    return fail(vtab, error);
+                }
+                tables.delete(vtab);
+                sqlite3_free(getValue(vtab + 8, "i32"));
+                sqlite3_free(vtab);
+                return SQLITE_OK;
+            };
+        }
+
+        // int xBestIndex(sqlite3_vtab*, sqlite3_index_info*)
+        function xBestIndex(vtab, info) {
+            try {
+                const constraints = [];
+                const aConstraint = getValue(info + 4, "i32");
+                for (let i = getValue(info, "i32"), ptr = aConstraint; i > 0; i -= 1, ptr += 12) {
+                    const op = getValue(ptr + 4, "i8") & 0xff;
+                    constraints.push({
+                        column: getValue(ptr, "i32"),
+                        op: OPERATORS.get(op) || "FUNCTION",
+                        usable: getValue(ptr + 5, "i8") !== 0
+                    });
+                }
+                const orderBy = [];
+                const aOrderBy = getValue(info + 12, "i32");
+                for (let i = getValue(info + 8, "i32"), ptr = aOrderBy; i > 0; i -= 1, ptr += 8) {
+                    orderBy.push({column: getValue(ptr, "i32"), desc: getValue(ptr + 4, "i8") !== 0});
+                }
+                const index = {
+                    constraints,
+                    orderBy,
+                    constraintUsage: constraints.map(() => ({argvIndex: 0, omit: false})),
+                    idxNum: 0,
+                    idxStr: null,
+                    orderByConsumed: false,
+                    estimatedCost: getValue(info + 40, "double"),
+                    estimatedRows: 25
+                };
+                bestIndex.call(definition, tables.get(vtab), index);
+
+                const aConstraintUsage = getValue(info + 16, "i32");
+                index.constraintUsage.forEach(({argvIndex, omit}, i) => {
+                    setValue(aConstraintUsage + (8 * i), argvIndex, "i32");
+                    setValue(aConstraintUsage + (8 * i) + 4, omit ? 1 : 0, "i8");
+                });
+                setValue(info + 20, index.idxNum, "i32");
+                if (index.idxStr != null) {
+                    setValue(info + 24, sqliteString(String(index.idxStr)), "i32");
+                    setValue(info + 28, 1, "i32"); // needToFreeIdxStr
+                }
+                setValue(info + 32, index.orderByConsumed ? 1 : 0, "i32");
+                setValue(info + 40, index.estimatedCost, "double");
+                writeInt64(info + 48, Math.round(index.estimatedRows));
+                return SQLITE_OK;
+            } catch (error) {
+                return fail(vtab, error);
+            }
+        }
+
+        // int xOpen(sqlite3_vtab*, sqlite3_vtab_cursor**)
+        function xOpen(vtab, ppCursor) {
+            try {
+                const table = tables.get(vtab);
+                const cursor = typeof open === "function" ? open.call(definition, table) : {table};
+                const ptr = zeroed(SIZEOF_VTAB_CURSOR);
+                cursors.set(ptr, cursor);
+                setValue(ppCursor, ptr, "i32");
+                return SQLITE_OK;
+            } catch (error) {
+                return fail(vtab, error);
+            }
+        }
+
+        // The methods of the cursor report their errors through the sqlite3_vtab they belong to
+        function cursorMethod(method) {
+            return function (ptr, ...args) {
+                try {
+                    return method(cursors.get(ptr), ...args);
+                } catch (error) {
+                    return fail(getValue(ptr, "i32"), error);
+                }
+            };
+        }
+
+        // int xClose(sqlite3_vtab_cursor*)
+        function xClose(ptr) {
+            const cursor = cursors.get(ptr);
+            cursors.delete(ptr);
+            sqlite3_free(ptr);
+            try {
+                if (typeof close === "function") {
+                    close.call(definition, cursor);
+                }
+            } catch (error) {
+                return errorCode(error);
+            }
+            return SQLITE_OK;
+        }
+
+        // int xFilter(sqlite3_vtab_cursor*, int idxNum, const char *idxStr, int argc, sqlite3_value **argv)
+        const xFilter = cursorMethod((cursor, idxNum, idxStr, argc, argv) => {
+            filter.call(definition, cursor, extractArgs(db, argc, argv), {idxNum, idxStr: readString(idxStr)});
+            return SQLITE_OK;
+        });
+
+        // int xNext(sqlite3_vtab_cursor*)
+        const xNext = cursorMethod(cursor => {
+            next.call(definition, cursor);
+            return SQLITE_OK;
+        });
+
+        // int xEof(sqlite3_vtab_cursor*), an error ends the scan
+        function xEof(ptr) {
+            try {
+                return eof.call(definition, cursors.get(ptr)) ? 1 : 0;
+            } catch (error) {
+                fail(getValue(ptr, "i32"), error);
+                return 1;
+            }
+        }
+
+        // int xColumn(sqlite3_vtab_cursor*, sqlite3_context*, int)
+        const xColumn = cursorMethod((cursor, cx, i) => {
+            setResult(db, cx, column.call(definition, cursor, i));
+            return SQLITE_OK;
+        });
+
+        // int xRowid(sqlite3_vtab_cursor*, sqlite3_int64 *pRowid)
+        const xRowid = cursorMethod((cursor, pRowid) => {
+            writeInt64(pRowid, rowid.call(definition, cursor));
+            return SQLITE_OK;
+        });
+
+        // int xUpdate(sqlite3_vtab*, int argc, sqlite3_value **argv, sqlite3_int64 *pRowid)
+        function xUpdate(vtab, argc, argv, pRowid) {
+            try {
+                const args = extractArgs(db, argc, argv);
+                const inserted = update.call(definition, tables.get(vtab), args);
+                if (argc > 1 && args[0] === null && inserted != null) {
+                    writeInt64(pRowid, inserted);
+                }
+                return SQLITE_OK;
+            } catch (error) {
+                return fail(vtab, error);
+            }
+        }
+
+        const xConnect = addFunction(constructor(connect), "iiiiiii");
+        const methods = [
+            // an eponymous-only module has no xCreate
+            [4, typeof create === "function" && create !== connect ? addFunction(constructor(create), "iiiiiii") : create ? xConnect : NULL],
+            [8, xConnect],
+            [12, addFunction(xBestIndex, "iii")],
+            [16, addFunction(destructor(disconnect), "ii")],
+            [20, addFunction(destructor(destroy), "ii")],
+            [24, addFunction(xOpen, "iii")],
+            [28, addFunction(xClose, "ii")],
+            [32, addFunction(xFilter, "iiiiii")],
+            [36, addFunction(xNext, "ii")],
+            [40, addFunction(xEof, "ii")],
+            [44, addFunction(xColumn, "iiii")],
+            [48, addFunction(xRowid, "iii")],
+            // without xUpdate the table is read only
+            [52, typeof update === "function" ? addFunction(xUpdate, "iiiii") : NULL]
+        ];
+        const struct = alloc(SIZEOF_MODULE);
+        runtime.HEAPU8.fill(0, struct, struct + SIZEOF_MODULE);
+        setValue(struct, 1, "i32"); // iVersion
+        for (const [offset, pointer] of methods) {
+            setValue(struct + offset, pointer, "i32");
+        }
+        return {struct, pointers: [...new Set(methods.map(([, pointer]) => pointer).filter(pointer => pointer !== NULL))]};
+    }
+
+    /** Make the module definition of an eponymous table-valued function, see {@link Database#table}
+     @param {Object} options
+     @return {Object} the definition for createModule
+     */
+    function tableModule({columns, parameters = [], rows}) {
+        if (!Array.isArray(columns) || columns.length === 0) {
+            throw new SqliteError("A table requires at least one column", SQLITE_MISUSE);
+        }
+        if (typeof rows !== "function") {
+            throw new SqliteError("A table requires a rows generator function", SQLITE_MISUSE);
+        }
+        const schema = `CREATE TABLE x(${[
+            ...columns.map(quote),
+            ...parameters.map(parameter => `${quote(parameter)} HIDDEN`)
+        ].join(", ")})`;
+
+        function advance(cursor) {
+            const {value, done} = cursor.iterator.next();
+            cursor.done = !!done;
+            cursor.row = value;
+            cursor.rowid += 1;
+        }
+
+        return {
+            connect: () => ({schema}),
+            bestIndex(table, index) {
+                // the arguments are the equality constraints on the hidden columns of the parameters
+                const constraints = parameters.map(() => -1);
+                index.constraints.forEach(({column, op, usable}, i) => {
+                    const parameter = column - columns.length;
+                    if (parameter >= 0 && usable && op === "=" && constraints[parameter] === -1) {
+                        constraints[parameter] = i;
+                    }
+                });
+                let argvIndex = 0;
+                constraints.forEach((i, parameter) => {
+                    if (i !== -1) {
+                        index.constraintUsage[i] = {argvIndex: ++argvIndex, omit: true};
+                        index.idxNum |= 1 << parameter;
+                    }
+                });
+                // the more arguments the better, a plan that leaves some out is only a last resort
+                index.estimatedCost = 1000 * (2 ** (parameters.length - argvIndex));
+            },
+            filter(cursor, args, {idxNum}) {
+                let next = 0;
+                cursor.parameters = parameters.map((parameter, i) => idxNum & (1 << i) ? args[next++] : null);
+                cursor.iterator = rows(...cursor.parameters)[Symbol.iterator]();
+                cursor.rowid = 0;
+                advance(cursor);
+            },
+            next: advance,
+            eof: cursor => cursor.done,
+            column(cursor, i) {
+                if (i >= columns.length) {
+                    return cursor.parameters[i - columns.length];
+                }
+                const row = cursor.row;
+                const value = row !== null && typeof row === "object" && !ArrayBuffer.isView(row)
+                    ? Array.isArray(row) ? row[i] : row[columns[i]]
+                    : columns.length === 1 ? row : undefined;
+                return value === undefined ? null : value;
+            },
+            rowid: cursor => cursor.rowid
+        };
+    }
+
+    /** Free the sqlite3_module struct of a module, once the connection is closed
+     @param {{struct:number}} module
+     */
+    function freeModule({struct}) {
+        free(struct);
+    }
+
+    return {createModule, tableModule, freeModule};
+}
@@ -0,0 +1,68 @@
+const createSqlWasm = require("../dist/cjs/node-sql-wasm.js");
+
+// Compares the bulk heap transfers of blobs and strings with the byte by byte copies they replaced.
+describe("blob and string transfer benchmark", function () {
+
+    const SIZE = 50 * 1024 * 1024;
+
+    let db;
+
+    beforeAll(async function () {
+        const {Database} = await createSqlWasm();
+        db = new Database();
+        db.run("CREATE TABLE images (id INTEGER PRIMARY KEY, data BLOB)");
+    });
+
+    afterAll(function () {
+        db.destroy();
+    });
+
+    function time(fn) {
+        const start = process.hrtime.bigint();
+        const result = fn();
+        return [result, Number(process.hrtime.bigint() - start) / 1e6];
+    }
+
+    // How getBlob used to read: one element at a time from the heap view
+    function byteLoopCopy(heap, ptr, size) {
+        const result = new Uint8Array(size);
+        let i = 0;
+        while (i < size) {
+            result[i] = heap[ptr + i];
+            i += 1;
+        }
+        return result;
+    }
+
+    it("roundtrips a 50MB blob", function () {
+        const image = new Uint8Array(SIZE);
+        for (let i = 0; i < SIZE; i += 4096) image[i] = i & 0xff;
+
+        const [, write] = time(() => db.run("INSERT INTO images VALUES (1, ?)", [image]));
+        const [blob, read] = time(() => db.get("SELECT data FROM images WHERE id = 1").data);
+        const [buffer, readBuffer] = time(() => db.prepare("SELECT data FROM images WHERE id = 1").buffers().exec()[0].data);
+        const [, baseline] = time(() => byteLoopCopy(new Int8Array(image.buffer), 0, SIZE));
+
+        console.log(`50MB blob: write ${write.toFixed(1)}ms, read ${read.toFixed(1)}ms, `
+            + `read as Buffer ${readBuffer.toFixed(1)}ms, byte loop copy ${baseline.toFixed(1)}ms`);
+
+        expect(blob).toBeInstanceOf(Uint8Array);
+        expect(Buffer.isBuffer(blob)).toBe(false);
+        expect(Buffer.isBuffer(buffer)).toBe(true);
+        expect(Buffer.compare(Buffer.from(blob.buffer, blob.byteOffset, blob.length), Buffer.from(image))).toBe(0);
+        expect(buffer.equals(Buffer.from(image))).toBe(true);
+    }, 60000);
+
+    it("roundtrips a 50MB string", function () {
+        const text = "€uro-ascii-mix ".repeat(Math.ceil(SIZE / 17)).slice(0, SIZE / 2);
+
+        const [, write] = time(() => db.run("INSERT INTO images VALUES (2, ?)", [text]));
+        const [value, read] = time(() => db.get("SELECT data FROM images WHERE id = 2").data);
+
+        console.log(`${(Buffer.byteLength(text) / 1024 / 1024).toFixed(1)}MB string: `
+            + `write ${write.toFixed(1)}ms, read ${read.toFixed(1)}ms`);
+
+        expect(value.length).toBe(text.length);
+        expect(value === text).toBe(true);
+    }, 60000);
+});
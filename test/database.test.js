@@ -2,11 +2,11 @@ const createSqlWasm = require("../dist/cjs/node-sql-wasm.js");
 
 describe("node-sql-wasm", function () {
 
-    let db;
+    let db, Database, SqliteError;
 
     beforeAll(async function () {
         try {
-            const {Database} = await createSqlWasm();
+            ({Database, SqliteError} = await createSqlWasm());
             db = new Database({dbfile: "database-test.sqlite"});
         } catch (e) {
             console.error(e);
@@ -15,7 +15,7 @@ describe("node-sql-wasm", function () {
 
     afterAll(async function () {
         try {
-            db.close(true);
+            db.destroy();
         } catch (e) {
             console.error(e);
         }
@@ -41,4 +41,1154 @@ describe("node-sql-wasm", function () {
         expect(res).toMatchObject([{b:'hello'},{b:'world'}])
     });
 
+    it("transaction", async function () {
+
+        db.run("CREATE TABLE IF NOT EXISTS tx (id INTEGER PRIMARY KEY, name TEXT)");
+        const insert = db.prepare("INSERT INTO tx (id, name) VALUES (?, ?)");
+
+        const insertMany = db.transaction(rows => {
+            expect(db.inTransaction).toBe(true);
+            for (const row of rows) insert.run(row);
+            return rows.length;
+        });
+
+        expect(db.inTransaction).toBe(false);
+        expect(insertMany([[1, "a"], [2, "b"]])).toBe(2);
+        expect(db.inTransaction).toBe(false);
+
+        expect(() => insertMany([[3, "c"], [1, "duplicate"]])).toThrow(/UNIQUE constraint failed/);
+        expect(db.inTransaction).toBe(false);
+        expect(db.query("SELECT id FROM tx ORDER BY id")).toMatchObject([{id: 1}, {id: 2}]);
+
+        const outer = db.transaction(() => {
+            insert.run([4, "d"]);
+            try {
+                insertMany([[5, "e"], [2, "duplicate"]]);
+            } catch (e) {
+                // only the nested savepoint is rolled back
+            }
+            insert.run([6, "f"]);
+        });
+        outer.immediate();
+        expect(db.query("SELECT id FROM tx ORDER BY id")).toMatchObject([{id: 1}, {id: 2}, {id: 4}, {id: 6}]);
+
+        insert.free();
+        db.run("DROP TABLE tx");
+    });
+
+    it("64-bit integers", async function () {
+
+        db.run("CREATE TABLE IF NOT EXISTS big (id INTEGER PRIMARY KEY, n)");
+        db.run("INSERT INTO big VALUES (?, ?)", [1, 2 ** 40]);
+        db.run("INSERT INTO big VALUES (?, ?)", [2, BigInt("9007199254740993")]);
+
+        expect(db.query("SELECT typeof(n) AS t FROM big WHERE id = 1")).toMatchObject([{t: "integer"}]);
+        expect(db.query("SELECT n FROM big WHERE id = 1")).toMatchObject([{n: 2 ** 40}]);
+        expect(() => db.query("SELECT n FROM big WHERE id = 2")).toThrow(RangeError);
+
+        const stmt = db.prepare("SELECT n FROM big ORDER BY id").safeIntegers();
+        stmt.step();
+        expect(stmt.get()).toStrictEqual([BigInt(2 ** 40)]);
+        stmt.step();
+        expect(stmt.get()).toStrictEqual([BigInt("9007199254740993")]);
+        stmt.free();
+
+        expect(() => db.run("INSERT INTO big VALUES (?, ?)", [3, BigInt(2) ** BigInt(64)])).toThrow(RangeError);
+
+        db.safeIntegers();
+        db.create_function("next_id", n => n + BigInt(1));
+        expect(db.exec("SELECT next_id(n) FROM big WHERE id = 2")[0].values).toStrictEqual([[BigInt("9007199254740994")]]);
+        db.safeIntegers(false);
+
+        // the errors of the user functions keep their message, e.g. for an unsafe integer argument
+        db.create_function("plus_one", n => n + 1);
+        expect(() => db.query("SELECT plus_one(n) FROM big WHERE id = 2"))
+            .toThrow("The integer is too large to be represented as a JavaScript number, use safeIntegers to read it as a BigInt");
+        db.create_function("fail", () => { throw new Error("no luck"); });
+        expect(() => db.query("SELECT fail()")).toThrow(expect.objectContaining({message: "no luck", codeName: "SQLITE_ERROR"}));
+
+        db.run("DROP TABLE big");
+    });
+
+    it("iterate", async function () {
+
+        db.run("CREATE TABLE IF NOT EXISTS numbers (n INTEGER)");
+        db.transaction(() => {
+            for (let n = 0; n < 100; n++) db.run("INSERT INTO numbers VALUES (?)", [n]);
+        })();
+
+        const stmt = db.prepare("SELECT n FROM numbers WHERE n >= ? ORDER BY n");
+        const seen = [];
+        for (const row of stmt.iterate([10])) {
+            seen.push(row.n);
+            if (seen.length === 3) break;
+        }
+        expect(seen).toStrictEqual([10, 11, 12]);
+
+        // the statement has been reset by the break and can start over
+        expect([...stmt.iterate([98], {array: true})]).toStrictEqual([[98], [99]]);
+        stmt.free();
+
+        let count = 0;
+        for await (const {n} of db.iterate("SELECT n FROM numbers")) {
+            count += n;
+        }
+        expect(count).toBe(4950);
+
+        const rows = [];
+        await new Promise((resolve, reject) => db.stream("SELECT n FROM numbers WHERE n < 3 ORDER BY n")
+            .on("data", row => rows.push(row))
+            .on("end", resolve)
+            .on("error", reject));
+        expect(rows).toStrictEqual([{n: 0}, {n: 1}, {n: 2}]);
+
+        db.run("DROP TABLE numbers");
+    });
+
+    it("aggregate and window functions", async function () {
+
+        db.run("CREATE TABLE IF NOT EXISTS samples (grp TEXT, x INTEGER)");
+        db.run("INSERT INTO samples VALUES ('a', 1), ('a', 5), ('a', 3), ('b', 10), ('b', 20)");
+
+        db.create_aggregate("median", {
+            init: () => [],
+            step: (values, value) => [...values, value],
+            finalize: values => values.length ? values.sort((a, b) => a - b)[values.length >> 1] : null
+        });
+        expect(db.query("SELECT grp, median(x) AS m FROM samples GROUP BY grp ORDER BY grp"))
+            .toMatchObject([{grp: "a", m: 3}, {grp: "b", m: 20}]);
+        expect(db.query("SELECT median(x) AS m FROM samples WHERE x > 100")).toMatchObject([{m: null}]);
+
+        db.create_aggregate("json_list", {
+            init: () => [],
+            step: (list, value) => (list.push(value), list),
+            finalize: list => JSON.stringify(list)
+        });
+        expect(db.query("SELECT json_list(x) AS l FROM samples WHERE grp = 'b'")).toMatchObject([{l: "[10,20]"}]);
+
+        db.create_aggregate("moving_sum", {
+            init: 0,
+            step: (sum, value) => sum + value,
+            inverse: (sum, value) => sum - value,
+            value: sum => sum,
+            finalize: sum => sum
+        });
+        expect(db.exec("SELECT moving_sum(x) OVER (ORDER BY x ROWS BETWEEN 1 PRECEDING AND CURRENT ROW) FROM samples")[0].values)
+            .toStrictEqual([[1], [4], [8], [15], [30]]);
+
+        expect(() => db.create_aggregate("broken", {step: () => 0, finalize: () => 0, value: () => 0}))
+            .toThrow(SqliteError);
+
+        // the errors of each callback keep their message
+        const failing = where => ({
+            init: 0,
+            step: (sum, value) => { if (where === "step") throw new Error(`${where} failed`); return sum + value; },
+            inverse: (sum, value) => { if (where === "inverse") throw new Error(`${where} failed`); return sum - value; },
+            value: sum => { if (where === "value") throw new Error(`${where} failed`); return sum; },
+            finalize: sum => { if (where === "finalize") throw new RangeError(`${where} failed`); return sum; }
+        });
+        for (const where of ["step", "finalize"]) {
+            db.create_aggregate(`failing_${where}`, failing(where));
+            expect(() => db.query(`SELECT failing_${where}(x) FROM samples`))
+                .toThrow(expect.objectContaining({message: `${where} failed`, codeName: "SQLITE_ERROR"}));
+        }
+        for (const where of ["inverse", "value"]) {
+            db.create_aggregate(`failing_${where}`, failing(where));
+            expect(() => db.query(`SELECT failing_${where}(x) OVER (ORDER BY x ROWS 1 PRECEDING) FROM samples`))
+                .toThrow(expect.objectContaining({message: `${where} failed`}));
+        }
+
+        db.run("DROP TABLE samples");
+    });
+
+    it("SqliteError", async function () {
+
+        db.run("CREATE TABLE IF NOT EXISTS uniq (id INTEGER PRIMARY KEY, name TEXT UNIQUE)");
+        db.run("INSERT INTO uniq (name) VALUES ('a')");
+
+        let error;
+        try {
+            db.run("INSERT INTO uniq (name) VALUES (?)", ["a"]);
+        } catch (e) {
+            error = e;
+        }
+        expect(error).toBeInstanceOf(SqliteError);
+        expect(error.message).toMatch(/UNIQUE constraint failed/);
+        expect(error.code).toBe(19);
+        expect(error.codeName).toBe("SQLITE_CONSTRAINT_UNIQUE");
+        expect(error.extendedCode).toBe(19 | (8 << 8));
+        expect(error.sql).toBe("INSERT INTO uniq (name) VALUES (?)");
+
+        expect(() => db.exec("SELEKT 1")).toThrow(expect.objectContaining({codeName: "SQLITE_ERROR", sql: "SELEKT 1"}));
+        expect(() => db.prepare("-- nothing")).toThrow(expect.objectContaining({codeName: "SQLITE_MISUSE"}));
+
+        const stmt = db.prepare("SELECT ?");
+        expect(() => stmt.bind([() => 1])).toThrow(SqliteError);
+        stmt.free();
+        expect(() => stmt.step()).toThrow(expect.objectContaining({message: "Statement closed", code: 21}));
+
+        db.run("DROP TABLE uniq");
+    });
+
+    it("backup", async function () {
+
+        db.run("CREATE TABLE IF NOT EXISTS pets (name TEXT)");
+        db.run("INSERT INTO pets VALUES ('Joey'), ('Sally')");
+        db.create_function("shout", name => name.toUpperCase());
+        const stmt = db.prepare("SELECT shout(name) AS name FROM pets ORDER BY name");
+
+        const progress = [];
+        const copy = await db.backup(undefined, {pagesPerStep: 1, onProgress: p => progress.push(p)});
+        expect(copy).toBeInstanceOf(Database);
+        expect(copy.query("SELECT name FROM pets ORDER BY name")).toMatchObject([{name: "Joey"}, {name: "Sally"}]);
+        expect(progress.length).toBeGreaterThan(1);
+        expect(progress[progress.length - 1].remainingPages).toBe(0);
+
+        const other = new Database();
+        expect(await db.backup(other)).toBe(other);
+        expect(other.query("SELECT count(*) AS n FROM pets")).toMatchObject([{n: 2}]);
+
+        expect(await db.backup("backup-test.sqlite")).toBeUndefined();
+        const file = new Database({dbfile: "backup-test.sqlite"});
+        expect(file.query("SELECT count(*) AS n FROM pets")).toMatchObject([{n: 2}]);
+        file.destroy();
+
+        // the source statements and functions survive the backup
+        expect(stmt.iterate(null, {array: true}).next().value).toStrictEqual(["JOEY"]);
+        stmt.free();
+
+        copy.close();
+        other.close();
+        db.run("DROP TABLE pets");
+
+        // a source that stays locked fails the backup once the timeout elapses
+        const locked = new Database({dbfile: "backup-locked.sqlite"});
+        locked.run("CREATE TABLE t (x); INSERT INTO t VALUES (1)");
+        const holder = new Database({dbfile: "backup-locked.sqlite"});
+        holder.run("BEGIN EXCLUSIVE; INSERT INTO t VALUES (2)");
+        const start = Date.now();
+        await expect(locked.backup(undefined, {timeout: 50})).rejects.toMatchObject({
+            codeName: "SQLITE_BUSY",
+            message: "The backup gave up after 50ms, the database is busy"
+        });
+        expect(Date.now() - start).toBeGreaterThanOrEqual(50);
+        holder.run("COMMIT");
+        const unlocked = await locked.backup();
+        expect(unlocked.query("SELECT x FROM t", [], {pluck: true})).toStrictEqual([1, 2]);
+        unlocked.close();
+        holder.close();
+        locked.destroy();
+    });
+
+    it("serialize and deserialize", async function () {
+
+        const db = new Database();
+        db.run("CREATE TABLE snap (v TEXT)");
+        db.run("INSERT INTO snap VALUES ('before')");
+        db.create_function("twice", v => v + v);
+        const stmt = db.prepare("SELECT twice(v) AS v FROM snap");
+
+        const bytes = db.serialize();
+        expect(String.fromCharCode(...bytes.subarray(0, 6))).toBe("SQLite");
+        expect(db.export()).toStrictEqual(bytes);
+
+        // the statement and the function are still usable after the snapshot
+        expect(stmt.getAsObject([])).toStrictEqual({v: "beforebefore"});
+
+        const copy = Database.deserialize(bytes, {readonly: true});
+        expect(copy.query("SELECT v FROM snap")).toMatchObject([{v: "before"}]);
+        expect(() => copy.run("INSERT INTO snap VALUES ('x')")).toThrow(/readonly/);
+        copy.close();
+
+        db.run("UPDATE snap SET v = 'after'");
+        stmt.reset();
+        db.deserialize(bytes);
+        expect(stmt.getAsObject([])).toStrictEqual({v: "beforebefore"});
+        stmt.free();
+
+        // a statement still being stepped is reset, and starts over on the restored content
+        db.run("INSERT INTO snap VALUES ('second')");
+        const rows = db.prepare("SELECT v FROM snap ORDER BY rowid");
+        expect(rows.step()).toBe(true);
+        db.run("UPDATE snap SET v = 'changed'");
+        db.deserialize(bytes);
+        expect(rows.step()).toBe(true);
+        expect(rows.getAsObject()).toStrictEqual({v: "before"});
+        expect(rows.step()).toBe(false);
+        rows.free();
+
+        db.close();
+    });
+
+    it("host paths", async function () {
+
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "node-sql-wasm-"));
+        const file = path.join(dir, "host.sqlite");
+
+        const db1 = new Database({path: file});
+        db1.run("CREATE TABLE t (x); INSERT INTO t VALUES (42)");
+        // a second database in the same directory shares the mount
+        const db2 = new Database({path: file});
+        expect(db2.filename).toBe(db1.filename);
+        expect(db2.query("SELECT x FROM t")).toMatchObject([{x: 42}]);
+        db1.close();
+        expect(db2.query("SELECT x FROM t")).toMatchObject([{x: 42}]);
+        db2.close();
+
+        expect(fs.existsSync(file)).toBe(true);
+        const {Database: OtherDatabase} = await createSqlWasm({mounts: {"/data": dir}});
+        const db3 = new OtherDatabase({path: file});
+        expect(db3.filename).toBe("/data/host.sqlite");
+        expect(db3.query("SELECT x FROM t")).toMatchObject([{x: 42}]);
+        db3.destroy();
+
+        expect(fs.existsSync(file)).toBe(false);
+        fs.rmdirSync(dir);
+    });
+
+    it("open flags", async function () {
+
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "node-sql-wasm-"));
+        const file = path.join(dir, "flags.sqlite");
+
+        expect(() => new Database({path: file, fileMustExist: true})).toThrow(expect.objectContaining({code: 14}));
+        expect(fs.existsSync(file)).toBe(false);
+
+        const writer = new Database({path: file});
+        expect(writer.open).toBe(true);
+        expect(writer.readonly).toBe(false);
+        expect(writer.name).toBe(file);
+        writer.run("CREATE TABLE t (x); INSERT INTO t VALUES (1)");
+        writer.close();
+        expect(writer.open).toBe(false);
+
+        const reader = new Database({path: file, readonly: true});
+        expect(reader.readonly).toBe(true);
+        expect(reader.query("SELECT x FROM t")).toMatchObject([{x: 1}]);
+        expect(() => reader.run("INSERT INTO t VALUES (2)")).toThrow(expect.objectContaining({codeName: "SQLITE_READONLY"}));
+        reader.close();
+
+        const byUri = new Database({path: `file://${file}?mode=ro`, uri: true});
+        expect(byUri.readonly).toBe(true);
+        byUri.close();
+
+        const memory = new Database({memory: true, data: fs.readFileSync(file)});
+        expect(memory.name).toBe(":memory:");
+        expect(memory.query("SELECT x FROM t")).toMatchObject([{x: 1}]);
+        memory.close();
+
+        fs.unlinkSync(file);
+        fs.rmdirSync(dir);
+    });
+
+    it("close keeps the file and destroy deletes it", async function () {
+
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "node-sql-wasm-"));
+        const file = path.join(dir, "lifecycle.sqlite");
+
+        const db = new Database({path: file});
+        db.run("CREATE TABLE t (x)");
+        db.close();
+        expect(fs.existsSync(file)).toBe(true);
+
+        // destroy works on a closed database too
+        db.destroy();
+        expect(fs.existsSync(file)).toBe(false);
+
+        const open = new Database({path: file});
+        open.run("CREATE TABLE t (x)");
+        fs.writeFileSync(`${file}-journal`, "");
+        open.destroy();
+        expect(fs.readdirSync(dir)).toStrictEqual([]);
+
+        const warn = jest.spyOn(console, "warn").mockImplementation(() => undefined);
+        new Database({path: file}).close(false);
+        new Database({path: file}).close(true);
+        expect(warn).toHaveBeenCalledTimes(1);
+        warn.mockRestore();
+
+        fs.rmdirSync(dir);
+    });
+
+    it("close returns normally whatever the kind of database", async function () {
+
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "node-sql-wasm-"));
+        const file = path.join(dir, "close.sqlite");
+
+        for (const db of [new Database(), new Database({memory: true}), new Database({path: file})]) {
+            db.run("CREATE TABLE t (x)");
+            expect(() => db.close()).not.toThrow();
+            expect(db.db).toBeNull();
+        }
+        expect(fs.existsSync(file)).toBe(true);
+
+        fs.unlinkSync(file);
+        fs.rmdirSync(dir);
+    });
+
+    it("statement cache", async function () {
+
+        const db = new Database({statementCacheSize: 2});
+        db.run("CREATE TABLE kv (k TEXT PRIMARY KEY, v)");
+        const cache = db.statementCache;
+
+        db.run("INSERT INTO kv VALUES (?, ?)", ["a", 1]);
+        db.run("INSERT INTO kv VALUES (?, ?)", ["b", 2]);
+        expect(cache.misses).toBe(1);
+        expect(cache.hits).toBe(1);
+
+        expect(db.get("SELECT v FROM kv WHERE k = ?", ["a"])).toStrictEqual({v: 1});
+        expect(db.get("SELECT v FROM kv WHERE k = ?", ["z"])).toBeUndefined();
+        expect(db.query("SELECT k FROM kv ORDER BY k")).toMatchObject([{k: "a"}, {k: "b"}]);
+        expect(cache.length).toBe(2);
+        expect(cache.hits).toBe(2);
+
+        // the statement in use is not handed out again to the nested call
+        const keys = [];
+        db.each("SELECT k FROM kv ORDER BY k", [], ({k}) => {
+            keys.push(k, db.query("SELECT k FROM kv ORDER BY k").length);
+        });
+        expect(keys).toStrictEqual(["a", 2, "b", 2]);
+        expect(cache.length).toBe(2);
+
+        // bindings are cleared on checkin
+        expect(db.query("SELECT v FROM kv WHERE k = ?")).toStrictEqual([]);
+
+        // the cached statements follow the database toggles
+        const hits = cache.hits;
+        expect(db.get("SELECT v FROM kv WHERE k = ?", ["a"])).toStrictEqual({v: 1});
+        db.safeIntegers();
+        expect(db.get("SELECT v FROM kv WHERE k = ?", ["a"])).toStrictEqual({v: 1n});
+        db.safeIntegers(false);
+        db.run("UPDATE kv SET v = x'0102' WHERE k = ?", ["b"]);
+        expect(Buffer.isBuffer(db.get("SELECT v FROM kv WHERE k = ?", ["b"]).v)).toBe(false);
+        db.buffers();
+        expect(Buffer.isBuffer(db.get("SELECT v FROM kv WHERE k = ?", ["b"]).v)).toBe(true);
+        db.buffers(false);
+        expect(db.query("SELECT v FROM kv WHERE k = ?", [])).toStrictEqual([]);
+        db.strictBinding();
+        expect(() => db.query("SELECT v FROM kv WHERE k = ?", [])).toThrow("Missing value for ?1");
+        db.strictBinding(false);
+        expect(cache.hits).toBeGreaterThanOrEqual(hits + 3);
+
+        const statements = Object.keys(db.statements).length;
+        db.export();
+        expect(cache.length).toBe(0);
+        expect(Object.keys(db.statements).length).toBe(statements - 2);
+        db.close();
+    });
+
+    it("blob and string transfer", async function () {
+
+        const db = new Database();
+        db.run("CREATE TABLE files (id INTEGER PRIMARY KEY, data)");
+        const size = 1024 * 1024 + 3;
+        const bytes = new Uint8Array(size);
+        for (let i = 0; i < size; i += 1) bytes[i] = (i * 31) & 0xff;
+
+        db.run("INSERT INTO files VALUES (1, ?)", [bytes]);
+        // a view into a larger buffer only binds its own bytes
+        const backing = new Uint8Array(16).fill(7);
+        db.run("INSERT INTO files VALUES (2, ?)", [backing.subarray(4, 8)]);
+        db.run("INSERT INTO files VALUES (3, ?)", [Buffer.from([9, 8, 7])]);
+
+        const read = db.get("SELECT data FROM files WHERE id = 1").data;
+        expect(read).toBeInstanceOf(Uint8Array);
+        expect(Buffer.isBuffer(read)).toBe(false);
+        expect(read.length).toBe(size);
+        expect(Buffer.compare(Buffer.from(read), Buffer.from(bytes))).toBe(0);
+        expect(db.get("SELECT data FROM files WHERE id = 2").data).toStrictEqual(new Uint8Array([7, 7, 7, 7]));
+
+        const buffer = db.prepare("SELECT data FROM files WHERE id = 1").buffers().exec()[0].data;
+        expect(Buffer.isBuffer(buffer)).toBe(true);
+        expect(buffer.equals(Buffer.from(bytes))).toBe(true);
+        // the values are copies, not views of the wasm memory that later calls would overwrite
+        read.fill(0);
+        buffer.fill(0);
+        db.run("INSERT INTO files VALUES (4, zeroblob(?))", [size]);
+        expect(Buffer.from(db.get("SELECT data FROM files WHERE id = 1").data).equals(Buffer.from(bytes))).toBe(true);
+        expect(db.get("SELECT data FROM files WHERE id = 3", null, {pluck: true})).toStrictEqual(new Uint8Array([9, 8, 7]));
+
+        const text = "€uro ascii 🌍 mix ".repeat(20000);
+        db.run("INSERT INTO files VALUES (5, ?)", [text]);
+        expect(db.get("SELECT data, length(data) AS length FROM files WHERE id = 5")).toStrictEqual({data: text, length: [...text].length});
+        db.close();
+    });
+
+    it("incremental blob I/O", async function () {
+
+        const db = new Database();
+        db.run("CREATE TABLE files (id INTEGER PRIMARY KEY, data BLOB)");
+        const insert = db.prepare("INSERT INTO files VALUES (?, ?)");
+        insert.bind([1]);
+        insert.bindZeroBlob(8, 2);
+        insert.step();
+        insert.free();
+        db.run("INSERT INTO files VALUES (2, zeroblob(4))");
+
+        const blob = db.openBlob({table: "files", column: "data", rowid: 1, writable: true});
+        expect(blob.length).toBe(8);
+        blob.write(2, [1, 2, 3]);
+        expect(blob.read(1, 4)).toStrictEqual(new Uint8Array([0, 1, 2, 3]));
+        expect(() => blob.write(6, [1, 2, 3])).toThrow(SqliteError);
+
+        blob.reopen(2n);
+        expect(blob.length).toBe(4);
+        await new Promise((resolve, reject) => {
+            const out = blob.createWriteStream({highWaterMark: 2});
+            out.on("finish", resolve).on("error", reject);
+            out.write(Buffer.from([9, 8]));
+            out.end(Buffer.from([7]));
+        });
+        const chunks = [];
+        for await (const chunk of blob.createReadStream({highWaterMark: 3})) chunks.push(chunk);
+        expect(chunks.map(chunk => chunk.length)).toStrictEqual([3, 1]);
+        expect(Buffer.concat(chunks)).toStrictEqual(Buffer.from([9, 8, 7, 0]));
+        expect(blob.close()).toBe(true);
+        expect(() => blob.read()).toThrow("Blob handle closed");
+
+        const readonly = db.openBlob({table: "files", column: "data", rowid: 1});
+        expect(() => readonly.write(0, [1])).toThrow(SqliteError);
+        expect(() => db.openBlob({table: "files", column: "data", rowid: 3})).toThrow(SqliteError);
+
+        // the handles left open are closed with the database
+        db.close();
+        expect(readonly.blob).toBe(0);
+    });
+
+    it("statement metadata", async function () {
+
+        const db = new Database();
+        db.run("CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT)");
+
+        const select = db.prepare("SELECT id AS key, length(name) FROM users WHERE id = ? OR name = :name");
+        expect(select.columns()).toStrictEqual([
+            {name: "key", type: "INTEGER", database: "main", table: "users", column: "id"},
+            {name: "length(name)", type: null, database: null, table: null, column: null}
+        ]);
+        expect(select.parameters()).toStrictEqual([null, ":name"]);
+        expect(select.readonly).toBe(true);
+        expect(select.sql).toBe("SELECT id AS key, length(name) FROM users WHERE id = ? OR name = :name");
+        select.bind([7, "it's"]);
+        expect(select.expandedSql).toBe("SELECT id AS key, length(name) FROM users WHERE id = 7 OR name = 'it''s'");
+        select.free();
+        expect(() => select.columns()).toThrow("Statement closed");
+
+        const insert = db.prepare("INSERT INTO users VALUES (@id, @name)");
+        expect(insert.columns()).toStrictEqual([]);
+        expect(insert.parameters()).toStrictEqual(["@id", "@name"]);
+        expect(insert.readonly).toBe(false);
+        db.close();
+    });
+
+    it("strict binding", async function () {
+
+        const db = new Database();
+        db.run("CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT)");
+
+        // plain keys bind the prefixed parameters, in both modes
+        db.run("INSERT INTO users VALUES (:id, $name)", {id: 1, name: "Ann", extra: true});
+        expect(db.get("SELECT * FROM users WHERE id = @id", {id: 1})).toStrictEqual({id: 1, name: "Ann"});
+        expect(() => db.run("INSERT INTO users VALUES (?, ?)", [2, undefined]))
+            .toThrow("tried to bind undefined to parameter ?2");
+
+        db.strictBinding();
+        const insert = db.prepare("INSERT INTO users VALUES (:id, :name)");
+        expect(insert.useStrictBinding).toBe(true);
+        expect(() => insert.bind({id: 2, nmae: "Bob"})).toThrow("Unknown parameter nmae");
+        expect(() => insert.bind({id: 2})).toThrow("Missing value for :name");
+        expect(() => insert.bind([2])).toThrow("Missing value for :name");
+        expect(() => insert.bind([2, "Bob", 3])).toThrow("Too many values: 3 for 2 parameters");
+        let error;
+        try {
+            insert.bind({":id": 2, name: "Bob", age: 3});
+        } catch (e) {
+            error = e;
+        }
+        expect(error).toBeInstanceOf(SqliteError);
+        expect(error.codeName).toBe("SQLITE_RANGE");
+        insert.run({":id": 2, name: "Bob"});
+        expect(db.query("SELECT name FROM users ORDER BY id")).toStrictEqual([{name: "Ann"}, {name: "Bob"}]);
+
+        const loose = db.prepare("SELECT * FROM users WHERE id = ?").strictBinding(false);
+        expect(loose.bind({id: 1})).toBe(true);
+        db.close();
+    });
+
+    it("row modes", async function () {
+
+        const db = new Database();
+        db.run(`CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT);
+                CREATE TABLE posts (id INTEGER PRIMARY KEY, user INTEGER, title);
+                INSERT INTO users VALUES (1, 'Ann'), (2, 'Bob');
+                INSERT INTO posts VALUES (10, 1, 'Hello'), (11, 2, 12.5);`);
+        const join = "SELECT users.id, name, posts.id, title, 1 + 1 AS two FROM users JOIN posts ON user = users.id ORDER BY posts.id";
+
+        // the values are read according to their type in each row, not the first one
+        // (title has no declared type, so it keeps the REAL 12.5 instead of storing the text '12.5')
+        expect(db.query("SELECT title FROM posts ORDER BY id")).toStrictEqual([{title: "Hello"}, {title: 12.5}]);
+        expect(db.query(join)[0]).toStrictEqual({id: 10, name: "Ann", title: "Hello", two: 2});
+
+        expect(db.query(join, [], {raw: true})[0]).toStrictEqual([1, "Ann", 10, "Hello", 2]);
+        expect(db.query("SELECT name FROM users ORDER BY id", [], {pluck: true})).toStrictEqual(["Ann", "Bob"]);
+        expect(db.get(join, [], {expand: true})).toStrictEqual({
+            users: {id: 1, name: "Ann"},
+            posts: {id: 10, title: "Hello"},
+            $: {two: 2}
+        });
+        expect(db.get("SELECT count(*) FROM users", null, {pluck: true})).toBe(2);
+        expect(db.get(join)).toStrictEqual({id: 10, name: "Ann", title: "Hello", two: 2});
+
+        const names = [];
+        db.each("SELECT name FROM users ORDER BY id", [], name => names.push(name), {pluck: true});
+        db.each("SELECT name FROM users ORDER BY id", row => names.push(row), () => names.push("done"), {raw: true});
+        expect(names).toStrictEqual(["Ann", "Bob", ["Ann"], ["Bob"], "done"]);
+
+        expect([...db.iterate("SELECT id FROM users ORDER BY id", [], {pluck: true})]).toStrictEqual([1, 2]);
+        expect(() => db.query(join, [], {raw: true, expand: true})).toThrow("Conflicting row modes: raw, expand");
+
+        const stmt = db.prepare(join).expand();
+        expect(stmt.all()[1].posts).toStrictEqual({id: 11, title: 12.5});
+        expect(stmt.raw().all()[1]).toStrictEqual([2, "Bob", 11, 12.5, 2]);
+        expect(stmt.pluck().exec()).toStrictEqual([1, 2]);
+        expect(() => db.prepare("CREATE TABLE t (x)").pluck()).toThrow("pluck() needs a statement that returns data");
+        db.close();
+    });
+
+    it("type mapping", async function () {
+
+        const db = new Database({types: true});
+        db.run("CREATE TABLE events (at DATETIME, payload JSON, done BOOLEAN, day date, raw TEXT)");
+
+        const at = new Date("2020-04-01T12:30:00.000Z");
+        db.run("INSERT INTO events VALUES (?, ?, ?, '2020-04-02 08:00:00', ?)", [at, {tags: ["a"]}, true, new Map([["k", 1]])]);
+        expect(db.get("SELECT * FROM events")).toStrictEqual({
+            at,
+            payload: {tags: ["a"]},
+            done: true,
+            day: new Date("2020-04-02T08:00:00.000Z"),
+            raw: "{\"k\":1}"
+        });
+        // expressions have no declared type
+        expect(db.get("SELECT at || '' AS text FROM events")).toStrictEqual({text: "2020-04-01T12:30:00.000Z"});
+        expect(db.query("SELECT at FROM events", [], {raw: true})).toStrictEqual([[at]]);
+
+        // typed arrays are bound as their bytes, even without a registry
+        const plain = new Database();
+        expect(plain.get("SELECT hex(?) AS hex", [new Uint16Array([0x0102])]).hex).toBe("0201");
+        expect(() => plain.run("SELECT ?", [at])).toThrow("tried to bind a value of an unknown type");
+        plain.close();
+
+        // custom conversions, also applied to the user functions
+        class Point {
+            constructor(x, y) { Object.assign(this, {x, y}); }
+        }
+        db.types
+            .bind(Point, ({x, y}) => `${x},${y}`)
+            .read("POINT", text => new Point(...text.split(",").map(Number)));
+        db.run("CREATE TABLE shapes (center point)");
+        db.run("INSERT INTO shapes VALUES (?)", [new Point(1, 2)]);
+        expect(db.get("SELECT center FROM shapes").center).toStrictEqual(new Point(1, 2));
+        db.create_function("move", (p, dx) => new Point(p.x + dx, p.y), {argTypes: ["POINT"]});
+        db.create_function("tomorrow", at => new Date(at.getTime() + 86400000), {argTypes: ["DATETIME"]});
+        expect(db.get("SELECT move(center, 2) AS moved FROM shapes")).toStrictEqual({moved: "3,2"});
+        expect(db.get("SELECT tomorrow(at) AS t FROM events")).toStrictEqual({t: "2020-04-02T12:30:00.000Z"});
+        db.close();
+
+        const epoch = new Database({types: {dates: "epoch"}});
+        expect(epoch.get("SELECT ? AS ms", [at])).toStrictEqual({ms: at.getTime()});
+        epoch.close();
+    });
+
+    it("virtual tables", async function () {
+
+        const db = new Database();
+        db.run("CREATE TABLE orders (id INTEGER PRIMARY KEY, product TEXT, quantity INTEGER)");
+        db.run("INSERT INTO orders VALUES (1, 'apple', 3), (2, 'pear', 1), (3, 'fig', 2)");
+
+        // an eponymous table-valued function
+        db.table("split", {
+            columns: ["part", "position"],
+            parameters: ["text", "separator"],
+            rows: function* (text, separator) {
+                let position = 0;
+                for (const part of text.split(separator)) yield {part, position: position++};
+            }
+        });
+        expect(db.query("SELECT part, position FROM split('a,b,c', ',') WHERE position > 0"))
+            .toStrictEqual([{part: "b", position: 1}, {part: "c", position: 2}]);
+        expect(db.query("SELECT product FROM orders JOIN split('fig pear', ' ') ON product = part ORDER BY id", [], {pluck: true}))
+            .toStrictEqual(["pear", "fig"]);
+        db.table("numbers", {columns: ["n"], rows: function* () { yield* [1, 2, 3]; }});
+        expect(db.get("SELECT sum(n) AS total FROM numbers")).toStrictEqual({total: 6});
+
+        // a writable module over a Map, created with CREATE VIRTUAL TABLE
+        const prices = new Map([["apple", 0.5], ["pear", 0.75]]);
+        const plans = [];
+        let lastRowid = 0;
+        db.createModule("map", {
+            create: ({args}) => ({schema: `CREATE TABLE x(${args.join(", ")})`, rows: new Map([...prices].map(row => [++lastRowid, row]))}),
+            bestIndex(table, index) {
+                plans.push(index.constraints.map(({column, op, usable}) => `${column}${op}${usable}`).join());
+                const eq = index.constraints.findIndex(({column, op, usable}) => column === 0 && op === "=" && usable);
+                if (eq !== -1) {
+                    index.constraintUsage[eq] = {argvIndex: 1, omit: true};
+                    index.idxNum = 1;
+                    index.estimatedCost = 1;
+                } else {
+                    index.estimatedCost = table.rows.size;
+                }
+            },
+            filter(cursor, args, {idxNum}) {
+                cursor.rows = [...cursor.table.rows].filter(([, [key]]) => idxNum === 0 || key === args[0]);
+                cursor.index = 0;
+            },
+            next: cursor => cursor.index++,
+            eof: cursor => cursor.index >= cursor.rows.length,
+            column: (cursor, i) => cursor.rows[cursor.index][1][i],
+            rowid: cursor => cursor.rows[cursor.index][0],
+            update(table, [rowid, newRowid, ...values]) {
+                if (newRowid === undefined) {
+                    table.rows.delete(rowid);
+                } else if (rowid === null) {
+                    table.rows.set(++lastRowid, values);
+                    return lastRowid;
+                } else {
+                    table.rows.delete(rowid);
+                    table.rows.set(newRowid, values);
+                }
+            }
+        });
+        db.run("CREATE VIRTUAL TABLE price USING map(product TEXT, price REAL)");
+        db.run("INSERT INTO price VALUES ('fig', 2)");
+        db.run("UPDATE price SET price = 1 WHERE product = 'pear'");
+        db.run("DELETE FROM price WHERE product = 'apple'");
+        expect(db.query("SELECT rowid, * FROM price ORDER BY product")).toStrictEqual([
+            {rowid: 3, product: "fig", price: 2},
+            {rowid: 2, product: "pear", price: 1}
+        ]);
+        expect(db.query("SELECT product, quantity * price AS total FROM orders NATURAL JOIN price ORDER BY id"))
+            .toStrictEqual([{product: "pear", total: 1}, {product: "fig", total: 4}]);
+        expect(plans).toContain("0=true");
+
+        expect(() => db.createModule("map", {})).toThrow("Module map already exists");
+        expect(() => db.createModule("broken", {connect: () => ({})})).toThrow("requires a bestIndex function");
+        db.table("failing", {columns: ["x"], rows: () => { throw new Error("no rows today"); }});
+        expect(() => db.query("SELECT * FROM failing")).toThrow("no rows today");
+        db.close();
+    });
+
+    it("change events", function () {
+        const db = new Database();
+        db.run("CREATE TABLE t (id INTEGER PRIMARY KEY, x)");
+        const events = [];
+        const onUpdate = change => events.push(change);
+        db.on("update", onUpdate);
+        db.on("commit", () => events.push("commit"));
+        db.on("rollback", () => events.push("rollback"));
+
+        db.run("INSERT INTO t VALUES (1, 'a')");
+        db.run("BEGIN; UPDATE t SET x = 'b' WHERE id = 1; DELETE FROM t; ROLLBACK");
+        expect(events).toStrictEqual([
+            {op: "insert", db: "main", table: "t", rowid: 1},
+            "commit",
+            {op: "update", db: "main", table: "t", rowid: 1},
+            {op: "delete", db: "main", table: "t", rowid: 1},
+            "rollback"
+        ]);
+
+        db.off("update", onUpdate);
+        expect(db.hooks.update).toBeUndefined();
+        events.length = 0;
+        db.run("INSERT INTO t VALUES (2, 'c')");
+        expect(events).toStrictEqual(["commit"]);
+
+        db.safeIntegers();
+        db.once("update", change => events.push(change));
+        db.run("INSERT INTO t VALUES (9007199254740993, 'd')");
+        expect(events[1]).toStrictEqual({op: "insert", db: "main", table: "t", rowid: 9007199254740993n});
+        // the rowid crosses the wasm boundary as two 32-bit words
+        let rowid;
+        db.once("update", change => rowid = change.rowid);
+        db.run("INSERT INTO t VALUES (-4294967297, 'e')");
+        expect(rowid).toBe(-4294967297n);
+
+        db.run("PRAGMA locking_mode = EXCLUSIVE");
+        expect(db.get("PRAGMA journal_mode = WAL")).toStrictEqual({journal_mode: "wal"});
+        const wal = [];
+        db.on("wal", change => wal.push(change));
+        db.run("INSERT INTO t VALUES (3, 'e')");
+        expect(wal).toHaveLength(1);
+        expect(wal[0]).toMatchObject({db: "main"});
+        expect(wal[0].pages).toBeGreaterThan(0);
+
+        expect(Object.keys(db.hooks).sort()).toStrictEqual(["commit", "rollback", "wal"]);
+        db.close();
+        expect(db.hooks).toStrictEqual({});
+    });
+
+    it("change listeners that throw", async function () {
+        const db = new Database();
+        db.run("CREATE TABLE t (id INTEGER PRIMARY KEY, x)");
+        const failure = new Error("listener failed");
+        const fail = () => {
+            throw failure;
+        };
+
+        // without an "error" listener, the call throws, with or without parameters
+        db.once("update", fail);
+        expect(() => db.run("INSERT INTO t VALUES (1, 'a')")).toThrow(failure);
+        db.once("update", fail);
+        expect(() => db.run("INSERT INTO t VALUES (?, ?)", [2, "b"])).toThrow(failure);
+        expect(db.get("SELECT count(*) AS n FROM t")).toStrictEqual({n: 2});
+
+        // a failing commit listener rolls the transaction back
+        db.once("commit", fail);
+        expect(() => db.run("INSERT INTO t VALUES (3, 'c')")).toThrow(failure);
+        expect(db.get("SELECT count(*) AS n FROM t")).toStrictEqual({n: 2});
+
+        // with one, the error is emitted once the call returned
+        const errors = [];
+        db.on("error", error => errors.push(error));
+        db.once("update", fail);
+        db.run("INSERT INTO t VALUES (4, 'd')");
+        expect(errors).toStrictEqual([]);
+        await new Promise(resolve => process.nextTick(resolve));
+        expect(errors).toStrictEqual([failure]);
+        expect(db.get("SELECT count(*) AS n FROM t")).toStrictEqual({n: 3});
+        db.close();
+    });
+
+    it("authorizer", async function () {
+        const {AUTHORIZER_ACTIONS, readOnlyAuthorizer} = await createSqlWasm();
+        const {SQLITE_ATTACH, SQLITE_DROP_TABLE, SQLITE_PRAGMA} = AUTHORIZER_ACTIONS;
+        const db = new Database();
+        db.run("CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, password TEXT)");
+        db.run("CREATE TABLE audit (at TEXT)");
+        db.run("INSERT INTO users VALUES (1, 'ann', 'secret')");
+
+        const actions = [];
+        db.setAuthorizer((action, arg1, arg2, dbName) => {
+            actions.push([action, arg1, arg2, dbName]);
+            if (action === SQLITE_ATTACH || action === SQLITE_DROP_TABLE) return "deny";
+            return action === SQLITE_PRAGMA && arg2 !== null ? "ignore" : "ok";
+        });
+        expect(() => db.run("ATTACH ':memory:' AS other")).toThrow(expect.objectContaining({codeName: "SQLITE_AUTH"}));
+        expect(() => db.run("DROP TABLE audit")).toThrow("not authorized");
+        expect(actions).toContainEqual([SQLITE_DROP_TABLE, "audit", null, "main"]);
+        db.run("PRAGMA user_version = 3");
+        expect(db.get("PRAGMA user_version")).toStrictEqual({user_version: 0});
+
+        db.setAuthorizer(() => { throw new Error("policy unavailable"); });
+        expect(() => db.query("SELECT 1")).toThrow("policy unavailable");
+        db.setAuthorizer(() => "maybe");
+        expect(() => db.query("SELECT 1")).toThrow('The authorizer returned maybe, expected "ok", "deny" or "ignore"');
+
+        db.setAuthorizer(readOnlyAuthorizer({tables: ["users"], columns: {users: ["id", "name"]}}));
+        expect(db.query("SELECT * FROM users")).toStrictEqual([{id: 1, name: "ann", password: null}]);
+        expect(db.get("SELECT count(*) AS n FROM users")).toStrictEqual({n: 1});
+        expect(db.query("PRAGMA table_info(users)")).toHaveLength(3);
+        expect(() => db.query("SELECT * FROM audit")).toThrow("not authorized");
+        expect(() => db.run("DELETE FROM users")).toThrow("not authorized");
+        expect(() => db.run("PRAGMA writable_schema = ON")).toThrow("not authorized");
+
+        db.setAuthorizer(null);
+        db.run("DROP TABLE audit");
+        db.close();
+        expect(db.authorizer).toBe(0);
+    });
+
+    it("busy handling", function () {
+
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "node-sql-wasm-"));
+        const file = path.join(dir, "busy.sqlite");
+
+        const writer = new Database({path: file});
+        writer.run("CREATE TABLE t (x)");
+        const waiting = new Database({path: file, timeout: 100});
+
+        writer.run("BEGIN IMMEDIATE; INSERT INTO t VALUES (1)");
+        const start = Date.now();
+        expect(() => waiting.run("INSERT INTO t VALUES (2)")).toThrow(expect.objectContaining({codeName: "SQLITE_BUSY"}));
+        expect(Date.now() - start).toBeGreaterThanOrEqual(90);
+
+        // the other writer commits while this one waits, instead of failing
+        const counts = [];
+        waiting.setBusyHandler(count => {
+            counts.push(count);
+            if (count === 1) {
+                writer.run("COMMIT");
+            }
+            return true;
+        });
+        waiting.run("INSERT INTO t VALUES (2)");
+        expect(counts).toStrictEqual([0, 1]);
+        expect(writer.query("SELECT x FROM t")).toStrictEqual([{x: 1}, {x: 2}]);
+
+        writer.run("BEGIN IMMEDIATE");
+        waiting.setBusyHandler(count => count < 3);
+        expect(() => waiting.run("INSERT INTO t VALUES (3)")).toThrow(expect.objectContaining({code: 5}));
+        waiting.setBusyHandler(() => { throw new Error("gave up"); });
+        expect(() => waiting.run("INSERT INTO t VALUES (3)")).toThrow("gave up");
+        writer.run("COMMIT");
+        waiting.run("INSERT INTO t VALUES (3)");
+
+        waiting.close();
+        expect(waiting.busyHandler).toBe(0);
+        writer.destroy();
+        fs.rmdirSync(dir);
+    });
+
+    it("pragmas", function () {
+
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "node-sql-wasm-"));
+        const file = path.join(dir, "wal.sqlite");
+
+        const db = new Database({path: file, journalMode: "WAL", foreignKeys: true, synchronous: "NORMAL"});
+        expect(db.pragma("journal_mode", {simple: true})).toBe("wal");
+        expect(db.pragma("locking_mode", {simple: true})).toBe("exclusive");
+        expect(db.pragma("foreign_keys", {simple: true})).toBe(1);
+        expect(db.pragma("synchronous", {simple: true})).toBe(1);
+
+        db.run("CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT NOT NULL)");
+        db.run("CREATE TABLE posts (author INTEGER REFERENCES users (id))");
+        expect(db.pragma("table_info(users)")).toMatchObject([
+            {cid: 0, name: "id", type: "INTEGER", notnull: 0, pk: 1},
+            {cid: 1, name: "name", type: "TEXT", notnull: 1, pk: 0}
+        ]);
+        expect(() => db.run("INSERT INTO posts VALUES (1)")).toThrow(expect.objectContaining({codeName: "SQLITE_CONSTRAINT_FOREIGNKEY"}));
+
+        expect(db.pragma("user_version = 7")).toStrictEqual([]);
+        expect(db.pragma("user_version", {simple: true})).toBe(7);
+        expect(db.pragma("cache_size = -4000", {simple: true})).toBeUndefined();
+        expect(db.pragma("main.cache_size")).toStrictEqual([{cache_size: -4000}]);
+
+        db.run("INSERT INTO users VALUES (1, 'ann')");
+        expect(fs.existsSync(`${file}-wal`)).toBe(true);
+        const other = new Database({path: file});
+        expect(() => other.query("SELECT * FROM users")).toThrow(expect.objectContaining({code: 5}));
+        other.close();
+        db.close();
+
+        const reopened = new Database({path: file, journalMode: "WAL"});
+        expect(reopened.pragma("journal_mode", {simple: true})).toBe("wal");
+        expect(reopened.query("SELECT name FROM users", [], {pluck: true})).toStrictEqual(["ann"]);
+        expect(reopened.pragma("user_version", {simple: true})).toBe(7);
+        reopened.pragma("journal_mode = DELETE");
+        reopened.destroy();
+        fs.rmdirSync(dir);
+    });
+
+    it("schema", function () {
+        const db = new Database();
+        db.run(`
+            CREATE TABLE users (id INTEGER PRIMARY KEY, email TEXT NOT NULL UNIQUE, name TEXT DEFAULT 'anonymous',
+                                upper_name TEXT GENERATED ALWAYS AS (upper(name)) VIRTUAL);
+            CREATE TABLE posts (id INTEGER PRIMARY KEY AUTOINCREMENT, author INTEGER REFERENCES users ON DELETE CASCADE,
+                                at DATETIME);
+            CREATE INDEX posts_by_author ON posts (author, at DESC);
+            CREATE VIEW authors AS SELECT DISTINCT name FROM users JOIN posts ON author = users.id;
+            CREATE TRIGGER touch AFTER INSERT ON posts BEGIN SELECT 1; END;
+        `);
+        const schema = db.schema();
+        expect(schema.tables.map(table => table.name)).toStrictEqual(["posts", "users"]);
+        const [posts, users] = schema.tables;
+        expect(users.columns).toStrictEqual([
+            {name: "id", type: "INTEGER", notNull: false, default: null, primaryKey: 1, hidden: false, generated: null},
+            {name: "email", type: "TEXT", notNull: true, default: null, primaryKey: 0, hidden: false, generated: null},
+            {name: "name", type: "TEXT", notNull: false, default: "'anonymous'", primaryKey: 0, hidden: false, generated: null},
+            {name: "upper_name", type: "TEXT", notNull: false, default: null, primaryKey: 0, hidden: false, generated: "virtual"}
+        ]);
+        expect(users.indexes).toStrictEqual([{
+            name: "sqlite_autoindex_users_1", unique: true, origin: "u", partial: false,
+            columns: [{name: "email", descending: false, collation: "BINARY"}], sql: null
+        }]);
+        expect(posts.foreignKeys).toStrictEqual([
+            {table: "users", from: ["author"], to: [null], onUpdate: "NO ACTION", onDelete: "CASCADE", match: "NONE"}
+        ]);
+        expect(posts.indexes).toMatchObject([{
+            name: "posts_by_author", unique: false, origin: "c",
+            columns: [{name: "author", descending: false}, {name: "at", descending: true}],
+            sql: "CREATE INDEX posts_by_author ON posts (author, at DESC)"
+        }]);
+        expect(schema.views).toMatchObject([{name: "authors", columns: [{name: "name", type: "TEXT"}]}]);
+        expect(schema.triggers).toMatchObject([{name: "touch", table: "posts"}]);
+
+        // the pragmas already cached by schema() read BigInt now, and schema() still returns numbers
+        db.safeIntegers();
+        expect(db.query("SELECT * FROM pragma_table_xinfo(?, ?) ORDER BY cid", ["users", "main"])[0].pk).toBe(1n);
+        expect(JSON.stringify(db.schema())).toBe(JSON.stringify(schema));
+
+        db.run("ATTACH ':memory:' AS aux; CREATE TABLE aux.notes (body TEXT)");
+        expect(db.schema("aux")).toStrictEqual({
+            tables: [{
+                name: "notes",
+                virtual: false,
+                columns: [{name: "body", type: "TEXT", notNull: false, default: null, primaryKey: 0, hidden: false, generated: null}],
+                foreignKeys: [],
+                indexes: [],
+                sql: "CREATE TABLE notes (body TEXT)"
+            }],
+            views: [],
+            triggers: []
+        });
+        db.close();
+    });
+
+    it("migrations", async function () {
+        const {migrate} = await createSqlWasm();
+
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+
+        const db = new Database();
+        const logged = [];
+        const log = line => logged.push(line);
+        const migrations = [
+            {id: "001-users", up: "CREATE TABLE users (id INTEGER PRIMARY KEY)", down: "DROP TABLE users"},
+            {id: "002-names", up: "ALTER TABLE users ADD name TEXT", down: db => {
+                db.run("CREATE TABLE old_users AS SELECT id FROM users; DROP TABLE users; ALTER TABLE old_users RENAME TO users");
+            }},
+            {id: "003-seed", up: db => db.run("INSERT INTO users (name) VALUES ('ann')")}
+        ];
+
+        expect(migrate(db, migrations, {dryRun: true, log})).toStrictEqual({
+            from: 0, to: 3, steps: [
+                {id: "001-users", direction: "up"}, {id: "002-names", direction: "up"}, {id: "003-seed", direction: "up"}
+            ]
+        });
+        expect(logged).toStrictEqual([
+            "[dry run] migrating from version 0 to 3",
+            "[dry run] up 001-users", "[dry run] up 002-names", "[dry run] up 003-seed"
+        ]);
+        expect(db.schema().tables).toStrictEqual([]);
+
+        migrate(db, migrations, {log});
+        expect(db.query("SELECT name FROM users", [], {pluck: true})).toStrictEqual(["ann"]);
+        expect(db.pragma("user_version", {simple: true})).toBe(3);
+        expect(db.query("SELECT version, id FROM _migrations")).toStrictEqual([
+            {version: 1, id: "001-users"}, {version: 2, id: "002-names"}, {version: 3, id: "003-seed"}
+        ]);
+        expect(migrate(db, migrations, {log}).steps).toStrictEqual([]);
+
+        expect(() => migrate(db, migrations, {to: 1, log})).toThrow("Migration 003-seed can't be reverted, it has no down");
+        migrations[2].down = "DELETE FROM users";
+        expect(migrate(db, migrations, {to: 1, log}).steps.map(step => step.id)).toStrictEqual(["003-seed", "002-names"]);
+        expect(db.pragma("table_info(users)").map(column => column.name)).toStrictEqual(["id"]);
+        expect(db.pragma("user_version", {simple: true})).toBe(1);
+
+        const modified = [{...migrations[0], up: "CREATE TABLE users (id TEXT)"}];
+        expect(() => migrate(db, modified, {log})).toThrow("Migration 001-users was modified after it was applied");
+        expect(() => migrate(db, migrations.slice(1), {log})).toThrow("Migration 001-users was applied as version 1");
+
+        // a failing migration leaves the database at the last version reached
+        const failing = [...migrations, {id: "004-broken", up: "CREATE TABLE t (x); INSERT INTO nowhere VALUES (1)"}];
+        expect(() => migrate(db, failing, {log})).toThrow("no such table: nowhere");
+        expect(db.pragma("user_version", {simple: true})).toBe(3);
+        expect(db.schema().tables.map(table => table.name)).toStrictEqual(["_migrations", "users"]);
+        db.close();
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "node-sql-wasm-"));
+        fs.writeFileSync(path.join(dir, "002-seed.sql"), "INSERT INTO notes VALUES ('hello');\n-- down\nDELETE FROM notes;\n");
+        fs.writeFileSync(path.join(dir, "001-notes.sql"), "CREATE TABLE notes (body TEXT);\n-- down\nDROP TABLE notes;\n");
+        const fromFiles = new Database();
+        // nothing is printed unless asked for
+        const consoleLog = jest.spyOn(console, "log").mockImplementation(() => {});
+        try {
+            expect(migrate(fromFiles, dir, {table: "schema_migrations"}).steps.map(step => step.id))
+                .toStrictEqual(["001-notes", "002-seed"]);
+            expect(consoleLog).not.toHaveBeenCalled();
+            migrate(fromFiles, dir, {to: 1, dryRun: true, table: "schema_migrations"});
+            expect(consoleLog).toHaveBeenCalledWith("[dry run] down 002-seed");
+        } finally {
+            consoleLog.mockRestore();
+        }
+        expect(fromFiles.query("SELECT body FROM notes")).toStrictEqual([{body: "hello"}]);
+        migrate(fromFiles, dir, {to: 0, log, table: "schema_migrations"});
+        expect(fromFiles.schema().tables.map(table => table.name)).toStrictEqual(["schema_migrations"]);
+        fromFiles.close();
+        fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+        fs.rmdirSync(dir);
+    });
+
+    it("attached databases", function () {
+
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "node-sql-wasm-"));
+        const file = path.join(dir, "archive.sqlite");
+        const archive = new Database({path: file});
+        archive.run("CREATE TABLE orders (id INTEGER); INSERT INTO orders VALUES (1), (2)");
+        archive.close();
+
+        const db = new Database();
+        db.run("CREATE TABLE orders (id INTEGER); INSERT INTO orders VALUES (3)");
+        db.attach(file, "archive", {readonly: true});
+        expect(db.query("SELECT id FROM archive.orders UNION ALL SELECT id FROM orders", [], {pluck: true}))
+            .toStrictEqual([1, 2, 3]);
+        expect(() => db.run("INSERT INTO archive.orders VALUES (4)")).toThrow(expect.objectContaining({code: 8}));
+
+        const memory = new Database({memory: true});
+        memory.run("CREATE TABLE t (x); INSERT INTO t VALUES ('copied')");
+        db.attach(memory, "copy");
+        memory.run("UPDATE t SET x = 'changed'");
+        expect(db.get("SELECT x FROM copy.t")).toStrictEqual({x: "copied"});
+        memory.close();
+
+        db.attach(db.serialize(), "snapshot", {readonly: true});
+        expect(db.get("SELECT count(*) AS n FROM snapshot.orders")).toStrictEqual({n: 1});
+        db.attach(null, "scratch");
+        db.run("CREATE TABLE scratch.t (x)");
+
+        expect(db.attached()).toStrictEqual([
+            {name: "main", path: null, readonly: false},
+            {name: "archive", path: file, readonly: true},
+            {name: "copy", path: null, readonly: false},
+            {name: "snapshot", path: null, readonly: true},
+            {name: "scratch", path: null, readonly: false}
+        ]);
+        expect(() => db.attach(file, "archive")).toThrow("database archive is already in use");
+
+        db.detach("archive").detach("scratch");
+        expect(db.attached().map(schema => schema.name)).toStrictEqual(["main", "copy", "snapshot"]);
+        expect(db.attachments.archive).toBeUndefined();
+        expect(() => db.detach("archive")).toThrow("no such database: archive");
+
+        const other = new Database({path: file});
+        db.attach(other, "live");
+        other.run("INSERT INTO orders VALUES (5)");
+        expect(db.query("SELECT id FROM live.orders", [], {pluck: true})).toStrictEqual([1, 2, 5]);
+        db.close();
+        expect(db.attachments).toStrictEqual({});
+        other.destroy();
+        fs.rmdirSync(dir);
+    });
+
 });